@@ -1,23 +1,108 @@
 const {
   ItemView,
+  Component,
+  MarkdownRenderChild,
   MarkdownRenderer,
   Notice,
+  MarkdownView,
+  Menu,
+  Modal,
   Plugin,
   TFile,
   setIcon,
   normalizePath,
   PluginSettingTab,
   Setting,
+  debounce,
+  getAllTags,
+  parseFrontMatterTags,
 } = require("obsidian");
 
 const VIEW_TYPE = "spaced-repetition-explorer-view";
+const STATS_VIEW_TYPE = "spaced-repetition-explorer-stats";
+const LINT_VIEW_TYPE = "spaced-repetition-explorer-lint";
+const DUPLICATES_VIEW_TYPE = "spaced-repetition-explorer-duplicates";
 const DEFAULT_DECK_NAME = "Default";
+const CODE_BLOCK_LANGUAGE = "sr-explorer";
+const REINDEX_DEBOUNCE_MS = 300;
+// Saved entries are checked against mtime/size on load, so saving late only costs re-parsing a few notes.
+const INDEX_SAVE_DEBOUNCE_MS = 60000;
+// Parse notes for at most this long before yielding to the UI during a full index build.
+const INDEX_SLICE_MS = 50;
+const INDEX_CACHE_FILE = "card-index.json";
+// Workspace changes and raw file events are bursty; check the spaced-repetition data.json once they settle.
+const SR_SETTINGS_CHECK_DEBOUNCE_MS = 1000;
+// Fallback for adapters that send no raw events for the config folder; a check is only a stat.
+const SR_SETTINGS_POLL_MS = 60000;
+// Bump when a published ExplorerApi method changes incompatibly.
+const API_VERSION = 1;
 
 const DEFAULT_EXPLORER_SETTINGS = {
   showRibbonIcon: true,
   useSrIgnoreFolders: true,
+  // Explorer-only ignore globs on top of the spaced-repetition list.
+  ignoreGlobs: [],
+  // Spaced-repetition parsing settings replaced for the explorer only; see PARSING_OVERRIDES.
+  parsingOverrides: {},
+  deckBadges: {
+    due: true,
+    overdue: false,
+    new: true,
+    learned: false,
+    total: true,
+    meanEase: false,
+    minEase: false,
+  },
+  duplicateSimilarity: 0.85,
+  // Cloze cards: also hide the sibling deletions on the front ("hide all, test one").
+  clozeHideAll: false,
+  // Context panel under the card: expanded state, paragraph above the card, breadcrumb on the front.
+  contextPanelOpen: true,
+  contextShowParagraph: false,
+  contextInQuestion: false,
+  // Card order for decks without one of their own; see SORT_MODES.
+  defaultSort: { mode: "ease", secondary: "", reverse: false, seed: 1 },
+  // Orders picked in the card view, keyed by deck path.
+  deckSorts: {},
+  showLeechDeck: true,
+  leechEaseThreshold: 150,
+  leechMaxInterval: 3,
+  leechMinAgeDays: 60,
+  leechResetCount: 3,
+  leechTag: "#leech",
+  // Optional vault JSON file with schedules for cards that have no SR comment (see README).
+  scheduleStorePath: "",
+  // Explorer-owned card state, keyed by card id.
+  leechResets: {},
+  // Cards hidden from the Leeches deck (the key predates the "hide" wording).
+  suspendedCards: [],
+  // Day each reviewed card was first seen (or last reviewed, if earlier), for the leech age check.
+  cardFirstSeen: {},
+  showFlagDecks: true,
+  // Flags, bookmarks and comments, keyed by cardIdentity() so they survive line shifts.
+  cardAnnotations: {},
 };
 
+// Card flags in menu order; `cls` doubles as the deck badge and flag button color.
+const CARD_FLAGS = [
+  { key: "red", label: "Red", cls: "sr-bg-red" },
+  { key: "orange", label: "Orange", cls: "sr-bg-orange" },
+  { key: "green", label: "Green", cls: "sr-bg-green" },
+  { key: "blue", label: "Blue", cls: "sr-bg-blue" },
+  { key: "purple", label: "Purple", cls: "sr-bg-purple" },
+];
+
+// Deck tree counters in display order; `cls` follows the spaced-repetition deck view colors.
+const DECK_BADGES = [
+  { key: "due", label: "Due", desc: "Cards due today, including overdue ones.", cls: "sr-bg-green" },
+  { key: "overdue", label: "Overdue", desc: "Cards whose due date has passed.", cls: "sr-bg-orange" },
+  { key: "new", label: "New", desc: "Cards that have never been reviewed.", cls: "sr-bg-blue" },
+  { key: "learned", label: "Learned", desc: "Scheduled cards that are not due yet.", cls: "sr-bg-grey" },
+  { key: "total", label: "Total", desc: "All cards in the deck and its subdecks.", cls: "sr-bg-red" },
+  { key: "meanEase", label: "Mean ease", desc: "Average ease of reviewed cards.", cls: "sr-bg-grey" },
+  { key: "minEase", label: "Min ease", desc: "Lowest ease of reviewed cards.", cls: "sr-bg-grey" },
+];
+
 // Minimal subset of spaced-repetition defaults we rely on.
 const DEFAULT_SR_SETTINGS = {
   flashcardTags: ["#flashcards"],
@@ -32,9 +117,31 @@ const DEFAULT_SR_SETTINGS = {
   convertBoldTextToClozes: false,
   convertCurlyBracketsToClozes: false,
   baseEase: 250,
+  lapsesIntervalChange: 0.5,
+  easyBonus: 1.3,
+  maximumInterval: 36525,
+  cardCommentOnSameLine: false,
   noteFoldersToIgnore: [],
 };
 
+// Spaced-repetition settings the explorer can override, with how the settings tab edits them.
+const PARSING_OVERRIDES = [
+  { key: "flashcardTags", name: "Flashcard tags", kind: "list" },
+  { key: "convertFoldersToDecks", name: "Folders as decks", kind: "toggle" },
+  { key: "singleLineCardSeparator", name: "Single-line separator", kind: "text" },
+  { key: "singleLineReversedCardSeparator", name: "Single-line reversed separator", kind: "text" },
+  { key: "multilineCardSeparator", name: "Multi-line separator", kind: "text" },
+  { key: "multilineReversedCardSeparator", name: "Multi-line reversed separator", kind: "text" },
+  { key: "multilineCardEndMarker", name: "Multi-line end marker", kind: "text" },
+  { key: "clozePatterns", name: "Cloze patterns", kind: "lines" },
+  { key: "noteFoldersToIgnore", name: "Folders to ignore", kind: "lines" },
+];
+
+// Spaced repetition writes this placeholder for unscheduled siblings so the slots stay aligned.
+const DUMMY_DUE_DATE = "2000-01-01";
+const DAY_MS = 24 * 3600 * 1000;
+const MIN_EASE = 130;
+
 const COLLAPSE_ICON = '<svg viewBox="0 0 100 100" width="8" height="8" class="svg-icon right-triangle"><path fill="currentColor" stroke="currentColor" d="M94.9,20.8c-1.4-2.5-4.1-4.1-7.1-4.1H12.2c-3,0-5.7,1.6-7.1,4.1c-1.3,2.4-1.2,5.2,0.2,7.6L43.1,88c1.5,2.3,4,3.7,6.9,3.7 s5.4-1.4,6.9-3.7l37.8-59.6C96.1,26,96.2,23.2,94.9,20.8L94.9,20.8z"></path></svg>';
 
 const IMAGE_FORMATS = [
@@ -83,6 +190,85 @@ class DeckNode {
   }
   addCard(card) {
     this.cards.push(card);
+    this.invalidateStats();
+  }
+  // Walk (and create) the deck path of a card from this node and file it there.
+  insertCard(card) {
+    const path = card.deck && card.deck.length > 0 ? card.deck : DEFAULT_DECK_NAME;
+    const parts = path.split("/").filter((p) => p.length > 0);
+    if (parts.length === 0) parts.push(DEFAULT_DECK_NAME);
+    let node = this;
+    for (const part of parts) {
+      node = node.getOrCreateChild(part);
+    }
+    node.addCard(card);
+    return node;
+  }
+  removeCardsForFile(filePath) {
+    const kept = this.cards.filter((card) => card.filePath !== filePath);
+    if (kept.length !== this.cards.length) {
+      this.cards = kept;
+      this.invalidateStats();
+    }
+    for (const sub of this.subdecks) {
+      sub.removeCardsForFile(filePath);
+    }
+  }
+  // Drop subdecks that no longer hold any cards.
+  pruneEmpty() {
+    for (const sub of this.subdecks) {
+      sub.pruneEmpty();
+    }
+    this.subdecks = this.subdecks.filter(
+      (sub) => sub.cards.length > 0 || sub.subdecks.length > 0
+    );
+  }
+  invalidateStats() {
+    for (let node = this; node; node = node.parent) {
+      node._stats = null;
+    }
+  }
+  // Due/overdue/new/learned counts and ease aggregates over this deck and its subdecks,
+  // cached until the deck's cards change or the day rolls over.
+  getStats(now = Date.now()) {
+    const today = Date.parse(formatDueDate(now));
+    if (this._stats && this._stats.today === today) return this._stats;
+    const stats = { today, total: 0, due: 0, overdue: 0, new: 0, learned: 0, easeSum: 0, minEase: null };
+    for (const card of this.cards) {
+      stats.total++;
+      if (!card.due) {
+        stats.new++;
+        continue;
+      }
+      const due = parseDueDate(card.due);
+      if (due <= today) stats.due++;
+      else stats.learned++;
+      if (due < today) stats.overdue++;
+      stats.easeSum += card.ease;
+      if (stats.minEase === null || card.ease < stats.minEase) stats.minEase = card.ease;
+    }
+    for (const sub of this.subdecks) {
+      const subStats = sub.getStats(now);
+      for (const key of ["total", "due", "overdue", "new", "learned", "easeSum"]) {
+        stats[key] += subStats[key];
+      }
+      if (subStats.minEase !== null && (stats.minEase === null || subStats.minEase < stats.minEase)) {
+        stats.minEase = subStats.minEase;
+      }
+    }
+    const reviewed = stats.total - stats.new;
+    stats.meanEase = reviewed > 0 ? Math.round(stats.easeSum / reviewed) : null;
+    this._stats = stats;
+    return stats;
+  }
+  findByPath(path) {
+    if (!path) return this;
+    let node = this;
+    for (const part of path.split("/")) {
+      node = node.subdecks.find((d) => d.name === part);
+      if (!node) return null;
+    }
+    return node;
   }
   getAllCards() {
     let all = [...this.cards];
@@ -102,6 +288,106 @@ class DeckNode {
   }
 }
 
+// A deck that is not part of the tree; its cards are recomputed from the current index on demand.
+class VirtualDeck extends DeckNode {
+  constructor(name, resolveCards) {
+    super(name, null);
+    this.resolveCards = resolveCards;
+  }
+  get isVirtual() {
+    return true;
+  }
+  getAllCards() {
+    return this.resolveCards();
+  }
+}
+
+// Public API for scripts and other plugins:
+// app.plugins.plugins["spaced-repetition-explorer"].api. Cards and decks are returned as copies.
+class ExplorerApi {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.version = API_VERSION;
+    this.listeners = new Set();
+  }
+
+  // Every deck in tree order with its path, depth and badge counts.
+  async getDecks() {
+    const { deckTree } = await this.plugin.collectCards();
+    const decks = [];
+    const walk = (node, depth) => {
+      for (const sub of node.subdecks) {
+        const { total, due, overdue, new: newCount, learned, meanEase, minEase } = sub.getStats();
+        decks.push({
+          path: sub.path,
+          name: sub.name,
+          depth,
+          subdecks: sub.subdecks.map((child) => child.path),
+          total,
+          due,
+          overdue,
+          new: newCount,
+          learned,
+          meanEase,
+          minEase,
+        });
+        walk(sub, depth + 1);
+      }
+    };
+    walk(deckTree, 0);
+    return decks;
+  }
+
+  // Cards of a deck (including subdecks) matching a search query, e.g.
+  // getCards({ deck: "Chemistry", query: "is:due ease<200", sort: "due", limit: 20 }).
+  async getCards({ deck = "", query = "", sort = "ease", limit = Infinity } = {}) {
+    const { cards, deckTree } = await this.plugin.collectCards();
+    const deckNode = deck ? deckTree.findByPath(deck) : deckTree;
+    if (!deckNode) throw new Error(`Deck "${deck}" not found.`);
+    let result = deckNode.isRoot ? cards : deckNode.getAllCards();
+    if (query.trim()) {
+      const matcher = compileSearchQuery(query, Date.now(), this.plugin.getSearchContext());
+      result = result.filter((card) => matcher(card));
+    }
+    return sortCardsBy(result, sort, this.plugin.getSortContext()).slice(0, limit).map((card) => ({ ...card }));
+  }
+
+  // A card by its id; pass the deck when the card's note is filed under several decks.
+  async getCard(id, deck) {
+    const card = await this.plugin.findCard(id, deck);
+    return card ? { ...card } : null;
+  }
+
+  // Open the explorer on the card's deck with this card showing. Resolves to false if the id is unknown.
+  async openCard(id, deck) {
+    const card = await this.plugin.findCard(id, deck);
+    if (!card) return false;
+    await this.plugin.openCardInExplorer(card);
+    return true;
+  }
+
+  // Subscribe to index changes ("index-changed"); returns a function that unsubscribes.
+  on(event, callback) {
+    if (event !== "index-changed") throw new Error(`Unknown event "${event}".`);
+    this.listeners.add(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    this.listeners.delete(callback);
+  }
+
+  trigger() {
+    for (const callback of this.listeners) {
+      try {
+        callback();
+      } catch (err) {
+        console.error("[Spaced Repetition Explorer] API listener failed", err);
+      }
+    }
+  }
+}
+
 class ExplorerSettingTab extends PluginSettingTab {
   constructor(app, plugin) {
     super(app, plugin);
@@ -110,6 +396,10 @@ class ExplorerSettingTab extends PluginSettingTab {
   display() {
     const { containerEl } = this;
     containerEl.empty();
+    // The Spaced Repetition tab may just have been edited; redraw once its changes are read.
+    this.plugin.checkSrSettingsFile().then((changed) => {
+      if (changed) this.display();
+    });
     containerEl.createEl("h2", { text: "Spaced Repetition Explorer" });
 
     new Setting(containerEl)
@@ -123,14 +413,204 @@ class ExplorerSettingTab extends PluginSettingTab {
         });
       });
 
+    containerEl.createEl("h3", { text: "Parsing" });
+    if (this.plugin.srLoadError) {
+      containerEl.createDiv({
+        cls: "sr-settings-warning",
+        text:
+          `Could not read the Spaced Repetition settings from ${this.plugin.getSrSettingsPath()} ` +
+          `(${this.plugin.srLoadError}); using its defaults. Override them below if your vault differs.`,
+      });
+    }
+    containerEl.createDiv({
+      cls: "setting-item-description",
+      text:
+        "Cards are parsed with the Spaced Repetition plugin's settings, re-read whenever its data.json changes. " +
+        "Fill in a field to override it for the explorer only; leave it empty to follow Spaced Repetition.",
+    });
+    for (const override of PARSING_OVERRIDES) {
+      this.addParsingOverride(containerEl, override);
+    }
+
     new Setting(containerEl)
       .setName("Apply spaced-repetition ignore folders")
-      .setDesc("Use the spaced-repetition plugin's 'Folders to ignore' list when collecting cards.")
+      .setDesc("Use the 'Folders to ignore' list above when collecting cards.")
       .addToggle((toggle) => {
         toggle.setValue(this.plugin.explorerSettings.useSrIgnoreFolders);
         toggle.onChange(async (value) => {
           this.plugin.explorerSettings.useSrIgnoreFolders = value;
           await this.plugin.saveExplorerSettings();
+          await this.plugin.reloadIndex(false);
+        });
+      });
+
+    new Setting(containerEl)
+      .setName("Extra ignore patterns")
+      .setDesc("Explorer-only globs, one per line, matched against note paths and their folders (e.g. Templates, **/drafts, *.excalidraw.md).")
+      .addTextArea((text) => {
+        text.setValue(this.plugin.explorerSettings.ignoreGlobs.join("\n"));
+        text.inputEl.addEventListener("change", async () => {
+          this.plugin.explorerSettings.ignoreGlobs = splitSettingLines(text.getValue());
+          await this.plugin.saveExplorerSettings();
+          await this.plugin.reloadIndex(false);
+        });
+      });
+
+    containerEl.createEl("h3", { text: "Schedules" });
+
+    new Setting(containerEl)
+      .setName("Schedule store")
+      .setDesc(
+        "Optional JSON file in the vault with schedules for cards that have no SR comment, " +
+          'as { "note path": { "card front": { "due": "YYYY-MM-DD", "interval": 3, "ease": 250 } } }.'
+      )
+      .addText((text) => {
+        text.setPlaceholder("flashcards/schedules.json");
+        text.setValue(this.plugin.explorerSettings.scheduleStorePath);
+        // Reload on commit (blur or Enter) rather than on every keystroke.
+        text.inputEl.addEventListener("change", async () => {
+          this.plugin.explorerSettings.scheduleStorePath = text.getValue().trim();
+          await this.plugin.saveExplorerSettings();
+          await this.plugin.reloadScheduleStore();
+        });
+      });
+
+    containerEl.createEl("h3", { text: "Leeches" });
+
+    new Setting(containerEl)
+      .setName("Show leech deck")
+      .setDesc("Pin a 'Leeches' deck with all trouble cards at the top of the deck tree.")
+      .addToggle((toggle) => {
+        toggle.setValue(this.plugin.explorerSettings.showLeechDeck);
+        toggle.onChange(async (value) => {
+          this.plugin.explorerSettings.showLeechDeck = value;
+          await this.plugin.saveExplorerSettings();
+          this.plugin.redrawViews();
+        });
+      });
+
+    const leechNumbers = [
+      { key: "leechEaseThreshold", name: "Ease floor", desc: "Reviewed cards at or below this ease are leeches." },
+      { key: "leechMaxInterval", name: "Short interval (days)", desc: "An interval at or below this many days counts as short…" },
+      { key: "leechMinAgeDays", name: "Minimum card age (days)", desc: "…once the card is at least this old, counted from its first review the explorer knows of." },
+      { key: "leechResetCount", name: "Reset limit", desc: "Cards reset this many times from the explorer are leeches." },
+    ];
+    for (const { key, name, desc } of leechNumbers) {
+      new Setting(containerEl)
+        .setName(name)
+        .setDesc(desc)
+        .addText((text) => {
+          text.inputEl.type = "number";
+          text.setValue(String(this.plugin.explorerSettings[key]));
+          text.onChange(async (value) => {
+            const number = Number(value);
+            if (value === "" || Number.isNaN(number)) return;
+            this.plugin.explorerSettings[key] = number;
+            await this.plugin.saveExplorerSettings();
+            this.plugin.redrawViews();
+          });
+        });
+    }
+
+    new Setting(containerEl)
+      .setName("Leech tag")
+      .setDesc("Tag added to a card's first line by the 'Tag as leech' action.")
+      .addText((text) => {
+        text.setValue(this.plugin.explorerSettings.leechTag);
+        text.onChange(async (value) => {
+          const tag = value.trim();
+          if (!/^#[^\s#]+$/.test(tag)) return;
+          this.plugin.explorerSettings.leechTag = tag;
+          await this.plugin.saveExplorerSettings();
+        });
+      });
+
+    containerEl.createEl("h3", { text: "Flags and bookmarks" });
+
+    new Setting(containerEl)
+      .setName("Show flagged decks")
+      .setDesc("Pin a deck per flag color and a 'Bookmarked' deck at the top of the deck tree while they have cards.")
+      .addToggle((toggle) => {
+        toggle.setValue(this.plugin.explorerSettings.showFlagDecks);
+        toggle.onChange(async (value) => {
+          this.plugin.explorerSettings.showFlagDecks = value;
+          await this.plugin.saveExplorerSettings();
+          this.plugin.redrawViews();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName("Remove orphaned annotations")
+      .setDesc("Drop flags, bookmarks and comments of cards that no longer exist in the vault.")
+      .addButton((button) => {
+        button.setButtonText("Clean up");
+        button.onClick(async () => {
+          const removed = await this.plugin.pruneAnnotations();
+          new Notice(removed === null ? "Wait for the flashcard index to finish first." : `Removed ${removed} orphaned annotations.`);
+        });
+      });
+
+    containerEl.createEl("h3", { text: "Deck badges" });
+    for (const badge of DECK_BADGES) {
+      new Setting(containerEl)
+        .setName(badge.label)
+        .setDesc(badge.desc)
+        .addToggle((toggle) => {
+          toggle.setValue(this.plugin.explorerSettings.deckBadges[badge.key]);
+          toggle.onChange(async (value) => {
+            this.plugin.explorerSettings.deckBadges[badge.key] = value;
+            await this.plugin.saveExplorerSettings();
+            this.plugin.redrawViews();
+          });
+        });
+    }
+
+    new Setting(containerEl)
+      .setName("Cloze: hide all, test one")
+      .setDesc("Hide every cloze deletion on the front, not just the one being tested. Click a hidden cloze to reveal it.")
+      .addToggle((toggle) => {
+        toggle.setValue(this.plugin.explorerSettings.clozeHideAll);
+        toggle.onChange(async (value) => {
+          this.plugin.explorerSettings.clozeHideAll = value;
+          await this.plugin.saveExplorerSettings();
+          this.plugin.getExplorerView()?.onIndexChanged();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName("Context: paragraph before card")
+      .setDesc("Also show the paragraph above the card in the context panel.")
+      .addToggle((toggle) => {
+        toggle.setValue(this.plugin.explorerSettings.contextShowParagraph);
+        toggle.onChange(async (value) => {
+          this.plugin.explorerSettings.contextShowParagraph = value;
+          await this.plugin.saveExplorerSettings();
+          this.plugin.getExplorerView()?.onIndexChanged();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName("Context: show in question")
+      .setDesc("Prepend the note title and heading path to the front of each card, like the Spaced Repetition plugin's context option.")
+      .addToggle((toggle) => {
+        toggle.setValue(this.plugin.explorerSettings.contextInQuestion);
+        toggle.onChange(async (value) => {
+          this.plugin.explorerSettings.contextInQuestion = value;
+          await this.plugin.saveExplorerSettings();
+          this.plugin.getExplorerView()?.onIndexChanged();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName("Duplicate similarity")
+      .setDesc("Cards whose normalized fronts are at least this similar are grouped by 'Find duplicate flashcards' (1 = exact only).")
+      .addSlider((slider) => {
+        slider.setLimits(0.5, 1, 0.05);
+        slider.setValue(this.plugin.explorerSettings.duplicateSimilarity);
+        slider.setDynamicTooltip();
+        slider.onChange(async (value) => {
+          this.plugin.explorerSettings.duplicateSimilarity = value;
+          await this.plugin.saveExplorerSettings();
         });
       });
 
@@ -142,26 +622,97 @@ class ExplorerSettingTab extends PluginSettingTab {
         button.onClick(async () => {
           button.setDisabled(true);
           await this.plugin.refreshCache();
-          const leaf = this.app.workspace.getLeavesOfType(VIEW_TYPE)[0];
-          if (leaf?.view?.loadCards) {
-            await leaf.view.loadCards();
-          }
+          await this.plugin.collectCards();
+          this.plugin.notifyIndexChanged();
           new Notice("Spaced Repetition Explorer refreshed");
           button.setDisabled(false);
         });
       });
   }
+
+  // One row per overridable SR setting: the value SR uses, and an explorer-only replacement.
+  addParsingOverride(containerEl, { key, name, kind }) {
+    const overrides = this.plugin.explorerSettings.parsingOverrides;
+    const srValue = this.plugin.srSourceSettings[key];
+    const setting = new Setting(containerEl).setName(name);
+    const describe = () => {
+      const shown = formatSettingValue(srValue, kind);
+      setting.setDesc(
+        key in overrides
+          ? `Overridden; Spaced Repetition uses ${shown}.`
+          : `From Spaced Repetition: ${shown}.`
+      );
+    };
+    const save = async (value) => {
+      if (value === undefined) delete overrides[key];
+      else overrides[key] = value;
+      describe();
+      await this.plugin.saveExplorerSettings();
+      await this.plugin.applyParsingSettings();
+    };
+    describe();
+    if (kind === "toggle") {
+      setting.addDropdown((dropdown) => {
+        dropdown.addOption("", `Follow Spaced Repetition (${srValue ? "yes" : "no"})`);
+        dropdown.addOption("true", "Yes");
+        dropdown.addOption("false", "No");
+        dropdown.setValue(key in overrides ? String(overrides[key]) : "");
+        dropdown.onChange((value) => save(value === "" ? undefined : value === "true"));
+      });
+      return;
+    }
+    const parse = (raw) => {
+      if (kind === "text") return raw.trim() || undefined;
+      const items = kind === "list" ? raw.split(/[\s,]+/).filter(Boolean) : splitSettingLines(raw);
+      return items.length > 0 ? items : undefined;
+    };
+    const current = key in overrides ? overrides[key] : null;
+    const addInput = (text) => {
+      text.setPlaceholder(
+        kind === "lines" ? (srValue || []).join("\n") : kind === "list" ? (srValue || []).join(" ") : srValue || ""
+      );
+      if (current !== null) text.setValue(kind === "lines" ? current.join("\n") : kind === "list" ? current.join(" ") : current);
+      // Re-index on commit (blur or Enter) rather than on every keystroke.
+      text.inputEl.addEventListener("change", () => save(parse(text.getValue())));
+    };
+    if (kind === "lines") setting.addTextArea(addInput);
+    else setting.addText(addInput);
+  }
 }
 
 class SpacedRepetitionExplorerPlugin extends Plugin {
   async onload() {
     this.explorerSettings = await this.loadExplorerSettings();
-    this.srSettings = await this.loadSpacedRepetitionSettings();
+    this.srSourceSettings = await this.loadSpacedRepetitionSettings();
+    this.srSettings = this.getEffectiveSrSettings();
+    await this.loadScheduleStore();
+    // data.json sits in the config folder, which only raw vault events cover. Workspace changes (e.g. the
+    // settings window closing) and a slow poll catch what those miss.
+    this.queueSrSettingsCheck = debounce(() => this.checkSrSettingsFile(), SR_SETTINGS_CHECK_DEBOUNCE_MS, true);
+    this.registerEvent(
+      this.app.vault.on("raw", (path) => path === this.getSrSettingsPath() && this.queueSrSettingsCheck())
+    );
+    this.registerEvent(this.app.workspace.on("layout-change", () => this.queueSrSettingsCheck()));
+    this.registerEvent(this.app.workspace.on("active-leaf-change", () => this.queueSrSettingsCheck()));
+    this.registerInterval(window.setInterval(() => this.queueSrSettingsCheck(), SR_SETTINGS_POLL_MS));
+    this.api = new ExplorerApi(this);
     this.updateRibbonIcon();
     this.registerView(
       VIEW_TYPE,
       (leaf) => new SpacedRepetitionExplorerView(leaf, this)
     );
+    this.registerView(
+      STATS_VIEW_TYPE,
+      (leaf) => new SpacedRepetitionStatsView(leaf, this)
+    );
+    this.registerView(
+      LINT_VIEW_TYPE,
+      (leaf) => new SpacedRepetitionLintView(leaf, this)
+    );
+    this.registerView(
+      DUPLICATES_VIEW_TYPE,
+      (leaf) => new SpacedRepetitionDuplicatesView(leaf, this)
+    );
 
     this.addCommand({
       id: "open-sr-explorer",
@@ -169,24 +720,280 @@ class SpacedRepetitionExplorerPlugin extends Plugin {
       callback: () => this.activateView(),
     });
 
+    this.addCommand({
+      id: "open-sr-explorer-card-in-note",
+      name: "Open current explorer card in note",
+      checkCallback: (checking) => {
+        const card = this.getExplorerView()?.getActiveCard();
+        if (!card) return false;
+        if (!checking) this.openCardInNote(card).catch((err) => new Notice(err.message));
+        return true;
+      },
+    });
+
+    this.addCommand({
+      id: "start-sr-explorer-session",
+      name: "Start study session",
+      callback: () => this.openSessionModal(),
+    });
+
+    this.addCommand({
+      id: "bulk-schedule-sr-explorer-cards",
+      name: "Change schedules of the explorer's cards",
+      checkCallback: (checking) => {
+        const view = this.getExplorerView();
+        if (!view?.activeDeck || view.session) return false;
+        if (!checking) {
+          const selected = view.getSelectedCards();
+          if (selected.length > 0) this.openBulkScheduleModal(`${selected.length} selected cards`, selected);
+          else this.openBulkScheduleModal(view.activeDeck.name, view.filteredCards.slice());
+        }
+        return true;
+      },
+    });
+
+    this.addCommand({
+      id: "undo-sr-explorer-bulk-schedule",
+      name: "Undo last bulk schedule change",
+      callback: () => this.undoBulkSchedule(),
+    });
+
+    this.addCommand({
+      id: "export-sr-explorer-deck",
+      name: "Export deck",
+      callback: () => this.openExportModal(),
+    });
+
+    this.addCommand({
+      id: "check-sr-explorer-flashcards",
+      name: "Check flashcards",
+      callback: () => this.runLinter(),
+    });
+
+    this.addCommand({
+      id: "find-sr-explorer-duplicates",
+      name: "Find duplicate flashcards",
+      callback: () => this.findDuplicates(),
+    });
+
+    this.addCommand({
+      id: "open-sr-explorer-stats",
+      name: "Open flashcard statistics",
+      callback: () => this.activateStatsView(""),
+    });
+
+    this.addCommand({
+      id: "rebuild-sr-explorer-index",
+      name: "Rebuild flashcard index from scratch",
+      callback: () => this.rebuildIndex(),
+    });
+
     this.addCommand({
       id: "refresh-sr-explorer",
       name: "Refresh explorer data",
       callback: async () => {
         await this.refreshCache();
-        const leaf = this.app.workspace.getLeavesOfType(VIEW_TYPE)[0];
-        if (leaf?.view?.loadCards) {
-          await leaf.view.loadCards();
-        }
+        await this.collectCards();
+        this.notifyIndexChanged();
         new Notice("Spaced Repetition Explorer refreshed");
       },
     });
 
+    this.embeddedBlocks = new Set();
+    this.registerMarkdownCodeBlockProcessor(CODE_BLOCK_LANGUAGE, (source, el, ctx) => {
+      ctx.addChild(new ExplorerCodeBlock(el, this, source, ctx.sourcePath));
+    });
+
     this.addSettingTab(new ExplorerSettingTab(this.app, this));
+    this.app.workspace.onLayoutReady(() => this.registerIndexEvents());
+  }
+
+  // Keep the card index in sync with the vault one file at a time instead of rescanning.
+  registerIndexEvents() {
+    this.pendingFiles = new Map();
+    // Paths deleted or renamed away while a full build runs; dropped from the index once it finishes.
+    this.pendingRemovals = new Set();
+    this.flushPendingFiles = debounce(() => this.reindexPendingFiles(), REINDEX_DEBOUNCE_MS, true);
+    this.registerEvent(
+      this.app.vault.on("create", (file) => this.queueReindex(file))
+    );
+    this.registerEvent(
+      this.app.vault.on("modify", (file) => this.queueReindex(file))
+    );
+    this.registerEvent(
+      this.app.vault.on("delete", (file) => {
+        if (!(file instanceof TFile)) return;
+        this.pendingFiles.delete(file.path);
+        this.queueRemoval(file.path);
+      })
+    );
+    this.registerEvent(
+      this.app.vault.on("rename", (file, oldPath) => {
+        if (!(file instanceof TFile)) return;
+        this.pendingFiles.delete(oldPath);
+        this.renameCardState(oldPath, file.path);
+        this.queueRemoval(oldPath);
+        this.queueReindex(file);
+      })
+    );
+    this.registerEvent(
+      this.app.vault.on("modify", (file) => {
+        if (file.path === normalizePath(this.explorerSettings.scheduleStorePath || "")) this.reloadScheduleStore();
+      })
+    );
+    // Tag edits change deck assignment, which only shows up once the metadata cache catches up.
+    this.registerEvent(
+      this.app.metadataCache.on("changed", (file) => this.queueReindex(file))
+    );
+    this.registerEvent(this.app.metadataCache.on("resolved", () => (this.backlinkIndex = null)));
+  }
+
+  queueReindex(file) {
+    if (!(file instanceof TFile) || file.extension !== "md") return;
+    if (!this.cachedCards && !this.indexBuild) return;
+    this.pendingFiles.set(file.path, file);
+    this.flushPendingFiles();
+  }
+
+  queueRemoval(filePath) {
+    if (!this.indexBuild) {
+      if (this.removeFileFromIndex(filePath)) this.notifyIndexChanged();
+      return;
+    }
+    this.pendingRemovals.add(filePath);
+    this.flushPendingFiles();
+  }
+
+  async reindexPendingFiles() {
+    // Edits, deletions and renames made during a full build are applied once it finishes.
+    if (this.indexBuild) await this.indexBuild;
+    const removals = Array.from(this.pendingRemovals);
+    this.pendingRemovals.clear();
+    const files = Array.from(this.pendingFiles.values());
+    this.pendingFiles.clear();
+    let changed = false;
+    for (const filePath of removals) {
+      if (this.removeFileFromIndex(filePath)) changed = true;
+    }
+    for (const file of files) {
+      if (await this.reindexFile(file)) changed = true;
+    }
+    if (changed) this.notifyIndexChanged();
+  }
+
+  // Re-parse a single file and patch its cards into the cached index. Returns true if anything changed.
+  async reindexFile(file) {
+    if (!this.cachedCards) return false;
+    let fileCards = [];
+    if (!this.shouldIgnoreFile(file) && this.app.vault.getAbstractFileByPath(file.path)) {
+      try {
+        fileCards = await this.parseFileCards(file);
+      } catch (err) {
+        console.warn(`[Spaced Repetition Explorer] Could not re-read ${file.path}`, err);
+        return false;
+      }
+    }
+    // Patch the index only after the await, so overlapping calls for one file can't both add its cards.
+    if (!this.cachedCards) return false;
+    const previousCards = this.fileCards.get(file.path) || [];
+    const removed = this.removeFileFromIndex(file.path);
+    if (this.shouldIgnoreFile(file) || !this.app.vault.getAbstractFileByPath(file.path)) {
+      return removed;
+    }
+    this.persistedIndex.set(file.path, indexEntryFor(file, fileCards));
+    this.queueIndexSave();
+    const stateChanged = this.carryOverCardState(file.path, fileCards, previousCards);
+    if (this.recordCardAges(fileCards) || stateChanged) {
+      this.saveExplorerSettings().catch((err) =>
+        console.error("[Spaced Repetition Explorer] Failed to save card state", err)
+      );
+    }
+    if (fileCards.length === 0) return removed;
+    const { cards, deckTree } = this.cachedCards;
+    this.fileCards.set(file.path, fileCards);
+    for (const card of fileCards) {
+      cards.push(card);
+      deckTree.insertCard(card);
+    }
+    cards.sort(compareByEase);
+    deckTree.sortSubdecks();
+    this.cachedCards.decks = collectDeckNames(cards);
+    return true;
+  }
+
+  removeFileFromIndex(filePath) {
+    if (this.persistedIndex?.delete(filePath)) this.queueIndexSave();
+    if (!this.cachedCards || !this.fileCards.has(filePath)) return false;
+    this.fileCards.delete(filePath);
+    const { deckTree } = this.cachedCards;
+    this.cachedCards.cards = this.cachedCards.cards.filter((card) => card.filePath !== filePath);
+    deckTree.removeCardsForFile(filePath);
+    deckTree.pruneEmpty();
+    this.cachedCards.decks = collectDeckNames(this.cachedCards.cards);
+    return true;
+  }
+
+  redrawViews() {
+    for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE)) {
+      if (leaf.view instanceof SpacedRepetitionExplorerView) {
+        leaf.view._renderDeckList();
+      }
+    }
+  }
+
+  // Show the partially built index while a full build is running.
+  notifyIndexProgress(partialIndex) {
+    for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE)) {
+      if (leaf.view instanceof SpacedRepetitionExplorerView) {
+        leaf.view.onIndexProgress(partialIndex);
+      }
+    }
+  }
+
+  cancelIndexBuild() {
+    if (this.indexProgress) this.indexProgress.cancelled = true;
+  }
+
+  notifyIndexChanged() {
+    for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE)) {
+      if (leaf.view instanceof SpacedRepetitionExplorerView) {
+        leaf.view.onIndexChanged();
+      }
+    }
+    for (const leaf of this.app.workspace.getLeavesOfType(STATS_VIEW_TYPE)) {
+      if (leaf.view instanceof SpacedRepetitionStatsView) {
+        leaf.view.onIndexChanged();
+      }
+    }
+    for (const block of this.embeddedBlocks) {
+      block.render();
+    }
+    this.api.trigger();
+  }
+
+  getSortContext() {
+    return {
+      mtimeOf: (path) => this.app.vault.getAbstractFileByPath(path)?.stat?.mtime ?? 0,
+    };
+  }
+
+  // Explorer-owned card states for search queries (see compileSearchQuery).
+  getSearchContext() {
+    return {
+      isLeech: (card) => this.isLeech(card),
+      isHiddenLeech: (card) => this.isHiddenLeech(card),
+      getAnnotation: (card) => this.getAnnotation(card),
+    };
   }
 
   onunload() {
     this.app.workspace.detachLeavesOfType(VIEW_TYPE);
+    this.app.workspace.detachLeavesOfType(STATS_VIEW_TYPE);
+    this.app.workspace.detachLeavesOfType(LINT_VIEW_TYPE);
+    this.app.workspace.detachLeavesOfType(DUPLICATES_VIEW_TYPE);
+    this.api.listeners.clear();
+    this.saveIndexSoon?.cancel();
+    if (this.indexCacheDirty) this.savePersistedIndex();
     if (this.ribbonIconEl) {
       this.ribbonIconEl.detach();
       this.ribbonIconEl = null;
@@ -209,16 +1016,189 @@ class SpacedRepetitionExplorerPlugin extends Plugin {
     );
   }
 
-  async loadSpacedRepetitionSettings() {
-    const adapter = this.app.vault.adapter;
-    const path = normalizePath(
-      ".obsidian/plugins/obsidian-spaced-repetition/data.json"
+  getExplorerView() {
+    const leaf = this.app.workspace.getLeavesOfType(VIEW_TYPE)[0];
+    return leaf?.view instanceof SpacedRepetitionExplorerView ? leaf.view : null;
+  }
+
+  // Open the explorer on exactly these cards; they are re-resolved from the live index by key.
+  async openCardsInExplorer(name, cards) {
+    await this.activateView();
+    const view = this.getExplorerView();
+    if (!view) return;
+    if (!view.cards) await view.loadCards();
+    const keys = new Set(cards.map(cardKey));
+    view.showDeck(
+      new VirtualDeck(name, () => (view.cards || []).filter((card) => keys.has(cardKey(card))))
     );
+  }
+
+  async openCardInExplorer(card) {
+    await this.activateView();
+    const view = this.getExplorerView();
+    if (!view) return;
+    if (!view.cards) await view.loadCards();
+    view.showCard(card);
+  }
+
+  async findCard(id, deck) {
+    const { cards } = await this.collectCards();
+    return cards.find((card) => card.id === id && (deck === undefined || card.deck === deck)) || null;
+  }
+
+  async openSessionModal(deckPath = "") {
+    await this.collectCards();
+    new StudySessionModal(this.app, this, deckPath).open();
+  }
+
+  async startStudySession(name, cards, options) {
+    await this.activateView();
+    const view = this.getExplorerView();
+    if (!view) return;
+    if (!view.cards) await view.loadCards();
+    view.startSession(name, cards, options);
+  }
+
+  async openExportModal(deckPath = "") {
+    await this.collectCards();
+    new ExportModal(this.app, this, deckPath).open();
+  }
+
+  // Build export rows for the cards and write them to a vault file; returns the written file.
+  async exportCards(cards, options) {
+    const sources = new Map();
+    const readSource = async (filePath) => {
+      if (!sources.has(filePath)) {
+        const file = this.app.vault.getAbstractFileByPath(filePath);
+        const content = file instanceof TFile ? await this.app.vault.read(file) : "";
+        sources.set(filePath, parseQuestions(content, this.srSettings));
+      }
+      return sources.get(filePath);
+    };
+    const rows = [];
+    const seenClozes = new Set();
+    for (const card of cards) {
+      const row = { card, notetype: "Basic", front: card.front, back: card.back, tags: this.getExportTags(card) };
+      if (options.cloze === "anki" && card.type === QuestionType.Cloze) {
+        const questionKey = `${card.deck}\u0000${card.filePath}\u0000${card.line}`;
+        if (seenClozes.has(questionKey)) continue;
+        seenClozes.add(questionKey);
+        const found = (await readSource(card.filePath)).find((q) => q.firstLine === card.line - 1);
+        const question = found && applyQuestionTags(found, this.srSettings).question;
+        if (question) {
+          row.notetype = "Cloze";
+          row.front = toAnkiCloze(stripScheduleComment(question.rawText), this.srSettings);
+          row.back = "";
+        }
+      }
+      row.front = await this.renderExportText(row.front, card.filePath, options);
+      row.back = await this.renderExportText(row.back, card.filePath, options);
+      rows.push(row);
+    }
+    const output = formatExport(rows, options.format);
+    const path = normalizePath(options.path);
+    const existing = this.app.vault.getAbstractFileByPath(path);
+    if (existing instanceof TFile) {
+      await this.app.vault.modify(existing, output);
+      return existing;
+    }
+    return await this.app.vault.create(path, output);
+  }
+
+  async renderExportText(markdown, sourcePath, options) {
+    const useHtml = options.markdown === "html";
+    const text = applyImageExportOption(markdown, options.images, useHtml || options.format === "anki");
+    if (options.markdown === "plain") return toPlainText(text);
+    if (!useHtml || !text) return text;
+    const el = createDiv();
+    // A throwaway owner, so exporting doesn't leave render children attached to the plugin.
+    const component = new Component();
+    component.load();
+    try {
+      await MarkdownRenderer.render(this.app, text, el, sourcePath, component);
+      return el.innerHTML;
+    } finally {
+      component.unload();
+    }
+  }
+
+  getExportTags(card) {
+    const file = this.app.vault.getAbstractFileByPath(card.filePath);
+    const cache = file instanceof TFile ? this.app.metadataCache.getFileCache(file) : null;
+    const tags = cache ? getAllTags(cache) || [] : [];
+    return [...new Set(tags.map((tag) => tag.replace(/^#/, "").replace(/\s+/g, "_")))];
+  }
+
+  // Lint every flashcard note and show the report.
+  async runLinter() {
+    const notice = new Notice("Checking flashcards…", 0);
+    const files = [];
+    let issueCount = 0;
+    try {
+      for (const file of this.app.vault.getMarkdownFiles()) {
+        if (this.shouldIgnoreFile(file)) continue;
+        const issues = lintNote(await this.app.vault.read(file), this.srSettings);
+        if (issues.length === 0) continue;
+        files.push({ path: file.path, issues });
+        issueCount += issues.length;
+      }
+    } finally {
+      notice.hide();
+    }
+    files.sort((a, b) => a.path.localeCompare(b.path));
+    this.lintReport = { checkedAt: new Date(), files, issueCount };
+    new Notice(issueCount === 0 ? "No flashcard issues found" : `Found ${issueCount} flashcard issues`);
+    const existing = this.app.workspace.getLeavesOfType(LINT_VIEW_TYPE)[0];
+    if (existing?.view instanceof SpacedRepetitionLintView) {
+      existing.view.render();
+      this.app.workspace.revealLeaf(existing);
+      return;
+    }
+    const leaf = this.app.workspace.getLeaf("tab");
+    await leaf.setViewState({ type: LINT_VIEW_TYPE, active: true });
+    this.app.workspace.revealLeaf(leaf);
+  }
+
+  async findDuplicates() {
+    const { cards } = await this.collectCards();
+    const threshold = this.explorerSettings.duplicateSimilarity;
+    const groups = findDuplicateGroups(cards, threshold);
+    this.duplicateReport = { checkedAt: new Date(), threshold, groups };
+    new Notice(groups.length === 0 ? "No duplicate flashcards found" : `Found ${groups.length} groups of duplicates`);
+    const existing = this.app.workspace.getLeavesOfType(DUPLICATES_VIEW_TYPE)[0];
+    if (existing?.view instanceof SpacedRepetitionDuplicatesView) {
+      existing.view.render();
+      this.app.workspace.revealLeaf(existing);
+      return;
+    }
+    const leaf = this.app.workspace.getLeaf("tab");
+    await leaf.setViewState({ type: DUPLICATES_VIEW_TYPE, active: true });
+    this.app.workspace.revealLeaf(leaf);
+  }
+
+  async activateStatsView(deckPath) {
+    const existing = this.app.workspace.getLeavesOfType(STATS_VIEW_TYPE)[0];
+    const leaf = existing || this.app.workspace.getLeaf("tab");
+    await leaf.setViewState({ type: STATS_VIEW_TYPE, active: true, state: { deckPath } });
+    this.app.workspace.revealLeaf(leaf);
+  }
+
+  getSrSettingsPath() {
+    return normalizePath(`${this.app.vault.configDir}/plugins/obsidian-spaced-repetition/data.json`);
+  }
+
+  async loadSpacedRepetitionSettings() {
+    const adapter = this.app.vault.adapter;
+    const path = this.getSrSettingsPath();
     let loaded = {};
+    this.srLoadError = null;
+    this.srSettingsMtime = null;
     try {
+      this.srSettingsMtime = (await adapter.stat(path))?.mtime ?? null;
       const raw = await adapter.read(path);
       loaded = JSON.parse(raw).settings || {};
     } catch (err) {
+      this.srLoadError = err.message;
       console.warn("[Spaced Repetition Explorer] Could not load spaced-repetition settings; using defaults.", err);
     }
     const merged = { ...DEFAULT_SR_SETTINGS, ...loaded };
@@ -244,67 +1224,702 @@ class SpacedRepetitionExplorerPlugin extends Plugin {
     this.cachedCards = null;
   }
 
+  // The spaced-repetition settings with the explorer's parsing overrides applied.
+  getEffectiveSrSettings() {
+    return { ...this.srSourceSettings, ...this.explorerSettings.parsingOverrides };
+  }
+
+  // Re-read SR's data.json when it changed on disk and re-index if that changes the effective settings.
+  async checkSrSettingsFile() {
+    const stat = await this.app.vault.adapter.stat(this.getSrSettingsPath()).catch(() => null);
+    const mtime = stat?.mtime ?? null;
+    if (mtime === this.srSettingsMtime) return false;
+    this.srSourceSettings = await this.loadSpacedRepetitionSettings();
+    await this.applyParsingSettings();
+    return true;
+  }
+
+  async applyParsingSettings() {
+    const before = JSON.stringify(this.srSettings);
+    const hashBefore = this.getIndexSettingsHash();
+    this.srSettings = this.getEffectiveSrSettings();
+    if (JSON.stringify(this.srSettings) === before) return;
+    await this.reloadIndex(this.getIndexSettingsHash() !== hashBefore);
+  }
+
+  // Rebuild the card index after a settings change; `reparse` also drops the parsed notes kept from before.
+  async reloadIndex(reparse) {
+    if (this.indexBuild) await this.indexBuild;
+    if (reparse) this.persistedIndex = new Map();
+    await this.refreshCache();
+    await this.collectCards();
+    this.notifyIndexChanged();
+  }
+
+  // Drop the on-disk index as well, so every note is read and parsed again.
+  async rebuildIndex() {
+    if (this.indexBuild) await this.indexBuild;
+    this.persistedIndex = new Map();
+    this.indexCacheLoaded = true;
+    await this.refreshCache();
+    await this.collectCards();
+    this.notifyIndexChanged();
+    new Notice("Spaced Repetition Explorer index rebuilt");
+  }
+
+  // Cached cards are only valid for the parse settings and schedule store they were built with.
+  getIndexSettingsHash() {
+    return hashString(`${parseSettingsHash(this.srSettings)}:${this.scheduleStoreHash || ""}`);
+  }
+
+  getIndexCachePath() {
+    const dir = this.manifest.dir || `${this.app.vault.configDir}/plugins/${this.manifest.id}`;
+    return normalizePath(`${dir}/${INDEX_CACHE_FILE}`);
+  }
+
+  // Cards parsed in an earlier session, keyed by file path. Only used once, for the first collectCards().
+  async loadPersistedIndex() {
+    if (this.indexCacheLoaded) return this.persistedIndex || new Map();
+    this.indexCacheLoaded = true;
+    const path = this.getIndexCachePath();
+    try {
+      if (!(await this.app.vault.adapter.exists(path))) return new Map();
+      const stored = JSON.parse(await this.app.vault.adapter.read(path));
+      if (
+        stored.version !== INDEX_CACHE_VERSION ||
+        stored.settingsHash !== this.getIndexSettingsHash()
+      ) {
+        return new Map();
+      }
+      return new Map(Object.entries(stored.files || {}));
+    } catch (err) {
+      console.warn("[Spaced Repetition Explorer] Could not load the saved card index; rebuilding.", err);
+      return new Map();
+    }
+  }
+
+  queueIndexSave() {
+    this.indexCacheDirty = true;
+    if (!this.saveIndexSoon) {
+      // Not reset by further edits, so steady editing writes card-index.json at most once a minute.
+      this.saveIndexSoon = debounce(() => this.savePersistedIndex(), INDEX_SAVE_DEBOUNCE_MS);
+    }
+    this.saveIndexSoon();
+  }
+
+  async savePersistedIndex() {
+    if (!this.persistedIndex || !this.indexCacheDirty) return;
+    this.indexCacheDirty = false;
+    const data = {
+      version: INDEX_CACHE_VERSION,
+      settingsHash: this.getIndexSettingsHash(),
+      files: Object.fromEntries(this.persistedIndex),
+    };
+    try {
+      await this.app.vault.adapter.write(this.getIndexCachePath(), JSON.stringify(data));
+    } catch (err) {
+      console.error("[Spaced Repetition Explorer] Could not save the card index", err);
+    }
+  }
+
   async collectCards() {
     if (this.cachedCards) return this.cachedCards;
-    const files = this.app.vault.getMarkdownFiles();
+    if (!this.indexBuild) {
+      this.indexBuild = this.buildIndex().finally(() => {
+        this.indexBuild = null;
+      });
+    }
+    return this.indexBuild;
+  }
+
+  // Parse the vault in time slices so the UI stays responsive; open explorers show
+  // the deck tree filling in. A cancelled build keeps the notes indexed so far.
+  async buildIndex() {
+    const files = this.app.vault.getMarkdownFiles().filter((file) => !this.shouldIgnoreFile(file));
+    const persisted = await this.loadPersistedIndex();
     const cards = [];
-    const deckSet = new Set();
+    const deckTree = new DeckNode("root", null);
+    const progress = { done: 0, total: files.length, cancelled: false };
+    this.fileCards = new Map();
+    this.persistedIndex = new Map();
+    this.indexProgress = progress;
+    let sliceStart = Date.now();
+    let published = false;
     for (const file of files) {
-      if (this.shouldIgnoreFile(file)) continue;
-      const deckNames = this.getDeckNamesForFile(file);
-      const content = await this.app.vault.read(file);
-      const parsedQuestions = parseQuestions(content, this.srSettings);
-      for (const question of parsedQuestions) {
-        const frontsBacks = expandQuestion(question, this.srSettings);
-        const schedules = extractSchedules(
-          question.rawText,
-          frontsBacks.length,
-          this.srSettings.baseEase
-        );
-        for (let idx = 0; idx < frontsBacks.length; idx++) {
-          const schedule = schedules[idx] || {};
-          for (const deckName of deckNames) {
-            const entry = {
-              id: `${file.path}:${question.firstLine}:${idx}`,
-              deck: deckName,
-              filePath: file.path,
-              line: question.firstLine + 1,
-              front: frontsBacks[idx].front.trim(),
-              back: frontsBacks[idx].back.trim(),
-              ease: schedule.ease ?? this.srSettings.baseEase,
-              interval: schedule.interval ?? null,
-              due: schedule.due ?? null,
-            };
-            cards.push(entry);
-            deckSet.add(deckName);
-          }
+      if (progress.cancelled) break;
+      progress.done++;
+      // Notes can be deleted while the build yields; skip them, the delete event is queued.
+      if (!this.app.vault.getAbstractFileByPath(file.path)) continue;
+      const entry = persisted.get(file.path);
+      let fileCards;
+      try {
+        fileCards = isIndexEntryFresh(entry, file)
+          ? entry.cards.map((card) => ({ ...card }))
+          : await this.parseFileCards(file);
+      } catch (err) {
+        console.warn(`[Spaced Repetition Explorer] Skipped ${file.path} while indexing`, err);
+        continue;
+      }
+      this.persistedIndex.set(file.path, indexEntryFor(file, fileCards));
+      if (fileCards.length > 0) {
+        this.fileCards.set(file.path, fileCards);
+        for (const card of fileCards) {
+          cards.push(card);
+          deckTree.insertCard(card);
         }
       }
+      if (Date.now() - sliceStart >= INDEX_SLICE_MS) {
+        this.notifyIndexProgress({ cards, deckTree });
+        published = true;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        sliceStart = Date.now();
+      }
     }
-    cards.sort((a, b) => {
-      const easeA = a.ease ?? Number.MAX_SAFE_INTEGER;
-      const easeB = b.ease ?? Number.MAX_SAFE_INTEGER;
-      if (easeA !== easeB) return easeA - easeB;
-      return a.front.localeCompare(b.front);
-    });
-    const deckTree = buildDeckTree(cards);
-    this.cachedCards = { cards, decks: Array.from(deckSet).sort(), deckTree };
+    this.indexProgress = null;
+    this.queueIndexSave();
+    cards.sort(compareByEase);
+    deckTree.sortSubdecks();
+    this.cachedCards = { cards, decks: collectDeckNames(cards), deckTree, complete: !progress.cancelled };
+    const agesChanged = this.recordCardAges(cards, !progress.cancelled);
+    if ((!progress.cancelled && this.migrateLegacyCardKeys(cards)) || agesChanged) await this.saveExplorerSettings();
+    if (progress.cancelled) {
+      new Notice(
+        `Indexing cancelled after ${progress.done} of ${progress.total} notes. Refresh the explorer to index the rest.`
+      );
+    }
+    if (published) this.notifyIndexChanged();
     return this.cachedCards;
   }
 
+  // Read the JSON schedule store: { "<note path>": { "<card front>": { due, interval, ease } } }.
+  async loadScheduleStore() {
+    this.scheduleStore = null;
+    this.scheduleStoreHash = "";
+    const path = this.explorerSettings.scheduleStorePath.trim();
+    if (path) {
+      try {
+        const raw = await this.app.vault.adapter.read(normalizePath(path));
+        this.scheduleStore = JSON.parse(raw);
+        this.scheduleStoreHash = hashString(raw);
+      } catch (err) {
+        console.warn(`[Spaced Repetition Explorer] Could not load the schedule store ${path}`, err);
+        new Notice(`Could not load the schedule store "${path}": ${err.message}`);
+      }
+    }
+    this.scheduleSources = this.createScheduleSources();
+  }
+
+  async reloadScheduleStore() {
+    await this.loadScheduleStore();
+    // Cached cards carry schedules from the old store; parse every note again.
+    await this.reloadIndex(true);
+  }
+
+  // Where card schedules come from, in priority order. Each source maps
+  // { filePath, front, siblingIndex, commentSchedules } to a schedule or null.
+  createScheduleSources() {
+    const sources = [
+      {
+        id: "comment",
+        getSchedule: ({ siblingIndex, commentSchedules }) => {
+          const schedule = commentSchedules[siblingIndex];
+          return schedule?.due ? schedule : null;
+        },
+      },
+    ];
+    const store = this.scheduleStore;
+    if (store) {
+      sources.push({
+        id: "json-store",
+        getSchedule: ({ filePath, front }) => normalizeStoredSchedule(store[filePath]?.[front]),
+      });
+    }
+    return sources;
+  }
+
+  resolveSchedule(entry) {
+    for (const source of this.scheduleSources) {
+      const schedule = source.getSchedule(entry);
+      if (schedule) return schedule;
+    }
+    return null;
+  }
+
+  async parseFileCards(file) {
+    const text = await this.app.vault.read(file);
+    const cards = [];
+    const parsedQuestions = parseQuestions(text, this.srSettings);
+    const noteDeckNames = this.getDeckNamesForFile(file, parsedQuestions);
+    for (const parsedQuestion of parsedQuestions) {
+      // A flashcard tag on the question's first line puts just that question in its deck.
+      const { topics, question } = applyQuestionTags(parsedQuestion, this.srSettings);
+      const deckNames =
+        topics.length > 0 && !this.srSettings.convertFoldersToDecks
+          ? [...new Set(topics.map((topic) => topic || DEFAULT_DECK_NAME))]
+          : noteDeckNames;
+      const frontsBacks = expandQuestion(question, this.srSettings);
+      const commentSchedules = extractSchedules(
+        question.rawText,
+        frontsBacks.length,
+        this.srSettings.baseEase
+      );
+      for (let idx = 0; idx < frontsBacks.length; idx++) {
+        const front = frontsBacks[idx].front.trim();
+        const schedule =
+          this.resolveSchedule({ filePath: file.path, front, siblingIndex: idx, commentSchedules }) || {};
+        for (const deckName of deckNames) {
+          cards.push({
+            id: `${file.path}:${question.firstLine}:${idx}`,
+            deck: deckName,
+            filePath: file.path,
+            line: question.firstLine + 1,
+            endLine: question.lastLine + 1,
+            siblingIndex: idx,
+            type: question.type,
+            front,
+            back: frontsBacks[idx].back.trim(),
+            ease: schedule.ease ?? this.srSettings.baseEase,
+            interval: schedule.interval ?? null,
+            due: schedule.due ?? null,
+          });
+        }
+      }
+    }
+    // The first copy of a repeated card keeps the plain identity, later ones get "~2", "~3", …
+    const occurrences = new Map();
+    for (const card of cards) {
+      const base = cardIdentity(card);
+      const ids = occurrences.get(base) || [];
+      if (!ids.includes(card.id)) ids.push(card.id);
+      occurrences.set(base, ids);
+      const occurrence = ids.indexOf(card.id);
+      card.identity = occurrence === 0 ? base : `${base}~${occurrence + 1}`;
+    }
+    return cards;
+  }
+
+  // Grade a card with SM-2 and write the new schedule into its SR comment in the source note.
+  async gradeCard(card, response) {
+    const file = this.getCardFile(card);
+    const next = computeNextSchedule(card, response, this.srSettings);
+    await this.app.vault.process(file, (content) =>
+      rewriteQuestionSchedule(content, card, next, this.srSettings)
+    );
+    if (response === ReviewResponse.Reset) {
+      const resets = this.explorerSettings.leechResets;
+      const key = cardIdentity(card);
+      resets[key] = (resets[key] || 0) + 1;
+      await this.saveExplorerSettings();
+    }
+    for (const entry of this.fileCards?.get(card.filePath) || [card]) {
+      if (entry.id !== card.id) continue;
+      entry.due = next.due;
+      entry.interval = next.interval;
+      entry.ease = next.ease;
+      this.cachedCards?.deckTree.findByPath(entry.deck)?.invalidateStats();
+    }
+    return next;
+  }
+
+  // Dry run of a bulk plan: the per-file changes, and whether each file can still be rewritten.
+  async previewBulkSchedule(plan) {
+    const byFile = groupUpdatesByFile(plan);
+    const files = [];
+    for (const [path, updates] of byFile) {
+      const entry = { path, updates, error: null };
+      try {
+        rewriteSchedules(await this.app.vault.read(this.getCardFile(updates[0].card)), updates, this.srSettings);
+      } catch (err) {
+        entry.error = err.message;
+      }
+      files.push(entry);
+    }
+    return files;
+  }
+
+  // Rewrite the SR comments for a bulk plan and remember the old note contents for undoBulkSchedule().
+  async applyBulkSchedule(label, plan) {
+    const changed = [];
+    const failed = [];
+    for (const [path, updates] of groupUpdatesByFile(plan)) {
+      try {
+        const file = this.getCardFile(updates[0].card);
+        let before;
+        const after = await this.app.vault.process(file, (content) => {
+          before = content;
+          return rewriteSchedules(content, updates, this.srSettings);
+        });
+        changed.push({ path, before, after });
+      } catch (err) {
+        console.warn(`[Spaced Repetition Explorer] Could not rewrite schedules in ${path}`, err);
+        failed.push(path);
+      }
+    }
+    this.lastBulkChange = changed.length > 0 ? { label, files: changed } : null;
+    return { changed: changed.length, failed };
+  }
+
+  // Restore notes touched by the last bulk change, skipping any edited since.
+  async undoBulkSchedule() {
+    const change = this.lastBulkChange;
+    if (!change) {
+      new Notice("No bulk schedule change to undo.");
+      return;
+    }
+    this.lastBulkChange = null;
+    const skipped = [];
+    for (const { path, before, after } of change.files) {
+      const file = this.app.vault.getAbstractFileByPath(path);
+      if (!(file instanceof TFile)) {
+        skipped.push(path);
+        continue;
+      }
+      await this.app.vault.process(file, (content) => {
+        if (content === after) return before;
+        skipped.push(path);
+        return content;
+      });
+    }
+    const restored = change.files.length - skipped.length;
+    new Notice(
+      skipped.length > 0
+        ? `Undid "${change.label}" in ${restored} notes; ${skipped.length} changed since and were left alone: ${skipped.join(", ")}`
+        : `Undid "${change.label}" in ${restored} notes.`
+    );
+  }
+
+  openBulkScheduleModal(name, cards) {
+    if (cards.length === 0) {
+      new Notice("No cards to change.");
+      return;
+    }
+    new BulkScheduleModal(this.app, this, name, cards).open();
+  }
+
+  // The question text and deletions behind a cloze card; null for other cards or if the note changed.
+  async getClozeLayout(card) {
+    if (card.type !== QuestionType.Cloze) return null;
+    try {
+      const content = await this.app.vault.cachedRead(this.getCardFile(card));
+      const { question } = locateCardQuestion(content, card, this.srSettings);
+      const text = stripScheduleComment(question.rawText);
+      const deletions = findClozeDeletions(text, this.srSettings);
+      return { text, deletions, groups: groupClozeDeletions(deletions) };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async getEditableCardText(card) {
+    const file = this.getCardFile(card);
+    return getEditableCardText(await this.app.vault.read(file), card, this.srSettings);
+  }
+
+  // Write edited card text back to the note and re-parse it right away.
+  async editCard(card, edit) {
+    const file = this.getCardFile(card);
+    await this.app.vault.process(file, (content) =>
+      rewriteQuestionText(content, card, edit, this.srSettings)
+    );
+    this.pendingFiles?.delete(file.path);
+    if (await this.reindexFile(file)) this.notifyIndexChanged();
+  }
+
+  // Why a card counts as a leech; empty when it doesn't. Cards hidden from the Leeches deck are still reported.
+  getLeechReasons(card, now = Date.now()) {
+    const settings = this.explorerSettings;
+    const reasons = [];
+    const tag = settings.leechTag.toLowerCase();
+    if (`${card.front}\n${card.back}`.toLowerCase().split(/\s+/).includes(tag)) {
+      reasons.push(`tagged ${settings.leechTag}`);
+    }
+    if (card.due && card.ease <= settings.leechEaseThreshold) {
+      reasons.push(`ease ${card.ease} ≤ ${settings.leechEaseThreshold}`);
+    }
+    const firstSeen = settings.cardFirstSeen[cardIdentity(card)];
+    if (card.due && card.interval !== null && card.interval <= settings.leechMaxInterval && firstSeen) {
+      const ageDays = Math.floor((now - parseDueDate(firstSeen)) / DAY_MS);
+      if (ageDays >= settings.leechMinAgeDays) {
+        reasons.push(`interval ${card.interval}d after ${ageDays} days`);
+      }
+    }
+    const resets = settings.leechResets[cardIdentity(card)] || 0;
+    if (resets >= settings.leechResetCount) {
+      reasons.push(`reset ${resets}×`);
+    }
+    return reasons;
+  }
+
+  isLeech(card) {
+    return this.getLeechReasons(card).length > 0;
+  }
+
+  // Hiding only affects the Leeches deck; the card stays in its decks, searches and sessions.
+  isHiddenLeech(card) {
+    return this.explorerSettings.suspendedCards.includes(cardIdentity(card));
+  }
+
+  async setLeechHidden(card, hidden) {
+    const ids = new Set(this.explorerSettings.suspendedCards);
+    if (hidden) ids.add(cardIdentity(card));
+    else ids.delete(cardIdentity(card));
+    this.explorerSettings.suspendedCards = Array.from(ids);
+    await this.saveExplorerSettings();
+  }
+
+  // Cards for the pinned leech deck: leeches that have not been hidden from it.
+  getLeechCards(cards) {
+    return cards.filter((card) => !this.isHiddenLeech(card) && this.isLeech(card));
+  }
+
+  async tagCardAsLeech(card) {
+    const file = this.getCardFile(card);
+    await this.app.vault.process(file, (content) =>
+      addTagToQuestion(content, card, this.explorerSettings.leechTag, this.srSettings)
+    );
+    this.pendingFiles?.delete(file.path);
+    if (await this.reindexFile(file)) this.notifyIndexChanged();
+  }
+
+  getAnnotation(card) {
+    return this.explorerSettings.cardAnnotations[cardIdentity(card)] || null;
+  }
+
+  // Merge `changes` ({ flag, bookmarked, comment }) into the card's annotation; empty ones are dropped.
+  async annotateCard(card, changes) {
+    const annotations = this.explorerSettings.cardAnnotations;
+    const key = cardIdentity(card);
+    const entry = { flag: null, bookmarked: false, comment: "", ...annotations[key], ...changes, id: card.id };
+    if (!entry.flag && !entry.bookmarked && !entry.comment.trim()) delete annotations[key];
+    else annotations[key] = entry;
+    await this.saveExplorerSettings();
+    this.redrawViews();
+  }
+
+  getAnnotatedCards(cards, matches) {
+    return cards.filter((card) => {
+      const annotation = this.getAnnotation(card);
+      return annotation !== null && matches(annotation);
+    });
+  }
+
+  // Drop annotations whose card is gone; null while the index is incomplete.
+  async pruneAnnotations() {
+    const index = await this.collectCards();
+    if (!index.complete) return null;
+    const identities = new Set(index.cards.map(cardIdentity));
+    const annotations = this.explorerSettings.cardAnnotations;
+    let removed = 0;
+    for (const key of Object.keys(annotations)) {
+      if (identities.has(key)) continue;
+      delete annotations[key];
+      removed++;
+    }
+    if (removed > 0) await this.saveExplorerSettings();
+    return removed;
+  }
+
+  // A card's age starts at the earliest of the day it was first indexed with a schedule and its last
+  // review (due minus interval); the note's ctime is not used, as sync and copies reset it.
+  // With `prune`, drop ages of cards no longer in `cards`. Returns whether anything changed.
+  recordCardAges(cards, prune = false, now = Date.now()) {
+    const ages = this.explorerSettings.cardFirstSeen;
+    let changed = false;
+    const seen = new Set();
+    for (const card of cards) {
+      if (!card.due) continue;
+      const key = cardIdentity(card);
+      seen.add(key);
+      const lastReview = parseDueDate(card.due) - (card.interval || 0) * DAY_MS;
+      const day = formatDueDate(Math.min(now, lastReview));
+      if (ages[key] && ages[key] <= day) continue;
+      ages[key] = day;
+      changed = true;
+    }
+    if (prune) {
+      for (const key of Object.keys(ages)) {
+        if (seen.has(key)) continue;
+        delete ages[key];
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  // Move explorer-owned card state (annotations, resets, hidden leeches, ages) to the key `move`
+  // returns; null keeps it. State already under the new key wins. Returns whether anything moved.
+  moveCardState(move) {
+    const settings = this.explorerSettings;
+    let changed = false;
+    for (const name of ["cardAnnotations", "leechResets", "cardFirstSeen"]) {
+      const state = settings[name];
+      for (const [key, value] of Object.entries(state)) {
+        const target = move(key);
+        if (!target || target === key || state[target] !== undefined) continue;
+        delete state[key];
+        state[target] = value;
+        changed = true;
+      }
+    }
+    const hidden = new Set(settings.suspendedCards);
+    for (const key of settings.suspendedCards) {
+      const target = move(key);
+      if (!target || target === key) continue;
+      hidden.delete(key);
+      hidden.add(target);
+      changed = true;
+    }
+    settings.suspendedCards = Array.from(hidden);
+    return changed;
+  }
+
+  // Card identities start with the note path, so explorer-owned state follows a renamed note.
+  renameCardState(oldPath, newPath) {
+    const prefix = `${oldPath}#`;
+    const changed = this.moveCardState((key) => (key.startsWith(prefix) ? newPath + key.slice(oldPath.length) : null));
+    if (changed) {
+      this.saveExplorerSettings().catch((err) =>
+        console.error("[Spaced Repetition Explorer] Failed to save card state after a rename", err)
+      );
+    }
+  }
+
+  // Leech resets and hidden leeches used to be keyed by the line-based card id; rekey the ones
+  // whose card is still at that line by its identity. Returns whether anything changed.
+  migrateLegacyCardKeys(cards) {
+    const settings = this.explorerSettings;
+    const isLegacy = (key) => /:\d+:\d+$/.test(key) && !key.includes("#");
+    if (!Object.keys(settings.leechResets).some(isLegacy) && !settings.suspendedCards.some(isLegacy)) return false;
+    const byId = new Map(cards.map((card) => [card.id, cardIdentity(card)]));
+    for (const [key, count] of Object.entries(settings.leechResets)) {
+      if (!isLegacy(key)) continue;
+      delete settings.leechResets[key];
+      if (byId.has(key)) settings.leechResets[byId.get(key)] = count;
+    }
+    settings.suspendedCards = settings.suspendedCards
+      .map((key) => (isLegacy(key) ? byId.get(key) : key))
+      .filter(Boolean);
+    return true;
+  }
+
+  // After a note is re-parsed, follow cards whose text was edited in place (same id, text that
+  // wasn't in the note before), e.g. by tagging or inline editing, and remember where annotated
+  // cards moved. Returns whether anything changed.
+  carryOverCardState(filePath, fileCards, previousCards) {
+    const annotations = this.explorerSettings.cardAnnotations;
+    const previous = new Set(previousCards.map(cardIdentity));
+    const byIdentity = new Map(fileCards.map((card) => [cardIdentity(card), card]));
+    const byId = new Map(fileCards.filter((card) => !previous.has(cardIdentity(card))).map((card) => [card.id, card]));
+    const edits = new Map();
+    for (const card of previousCards) {
+      const key = cardIdentity(card);
+      const edited = byIdentity.has(key) ? null : byId.get(card.id);
+      if (edited) edits.set(key, cardIdentity(edited));
+    }
+    // Annotations also remember the card id, for edits made while the note wasn't indexed.
+    for (const [key, entry] of Object.entries(annotations)) {
+      if (!key.startsWith(`${filePath}#`) || edits.has(key) || byIdentity.has(key)) continue;
+      const edited = byId.get(entry.id);
+      if (edited) edits.set(key, cardIdentity(edited));
+    }
+    let changed = this.moveCardState((key) => edits.get(key) ?? null);
+    for (const [key, entry] of Object.entries(annotations)) {
+      const current = key.startsWith(`${filePath}#`) && byIdentity.get(key);
+      if (!current || current.id === entry.id) continue;
+      entry.id = current.id;
+      changed = true;
+    }
+    return changed;
+  }
+
+  // Note title followed by the headings the card sits under, outermost first.
+  getCardBreadcrumb(card) {
+    const file = this.app.vault.getAbstractFileByPath(card.filePath);
+    if (!(file instanceof TFile)) return [card.filePath];
+    const cache = this.app.metadataCache.getFileCache(file);
+    return [file.basename, ...headingPath(cache?.headings ?? [], card.line - 1)];
+  }
+
+  async getCardContext(card) {
+    const file = this.getCardFile(card);
+    const context = { breadcrumb: this.getCardBreadcrumb(card), paragraph: null, backlinks: this.getBacklinks(file.path) };
+    if (this.explorerSettings.contextShowParagraph) {
+      const content = await this.app.vault.cachedRead(file);
+      const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatterPosition;
+      const firstLine = frontmatter ? frontmatter.end.line + 1 : 0;
+      context.paragraph = paragraphBefore(content.split("\n"), card.line - 1, firstLine);
+    }
+    return context;
+  }
+
+  // Notes that link to `path`, from the resolved link cache. The inverted map is built once and
+  // dropped whenever the metadata cache finishes resolving links.
+  getBacklinks(path) {
+    if (!this.backlinkIndex) {
+      this.backlinkIndex = new Map();
+      const resolved = this.app.metadataCache.resolvedLinks ?? {};
+      for (const [source, targets] of Object.entries(resolved)) {
+        for (const target of Object.keys(targets)) {
+          if (target === source) continue;
+          if (!this.backlinkIndex.has(target)) this.backlinkIndex.set(target, []);
+          this.backlinkIndex.get(target).push(source);
+        }
+      }
+      for (const sources of this.backlinkIndex.values()) sources.sort();
+    }
+    return [...(this.backlinkIndex.get(path) || [])];
+  }
+
+  getCardFile(card) {
+    const file = this.app.vault.getAbstractFileByPath(card.filePath);
+    if (!(file instanceof TFile)) {
+      throw new Error(`Source note ${card.filePath} no longer exists.`);
+    }
+    return file;
+  }
+
+  // Open the card's note (reusing a tab that already shows it) and select the card's lines.
+  async openCardInNote(card, newLeaf = false) {
+    const file = this.getCardFile(card);
+    const existing = newLeaf
+      ? null
+      : this.app.workspace
+          .getLeavesOfType("markdown")
+          .find((leaf) => leaf.view instanceof MarkdownView && leaf.view.file?.path === file.path);
+    const leaf = existing || this.app.workspace.getLeaf(newLeaf ? "tab" : false);
+    const firstLine = card.line - 1;
+    const lastLine = (card.endLine ?? card.line) - 1;
+    await leaf.openFile(file, { active: true, eState: { line: firstLine } });
+    this.app.workspace.revealLeaf(leaf);
+    const view = leaf.view;
+    if (view instanceof MarkdownView && view.getMode() === "source") {
+      const editor = view.editor;
+      const from = { line: firstLine, ch: 0 };
+      const to = { line: lastLine, ch: editor.getLine(lastLine).length };
+      editor.setSelection(from, to);
+      editor.scrollIntoView({ from, to }, true);
+      editor.focus();
+    } else {
+      leaf.setEphemeralState({ line: firstLine });
+    }
+  }
+
   shouldIgnoreFile(file) {
     if (!(file instanceof TFile)) return true;
-    const patterns = this.explorerSettings.useSrIgnoreFolders ? this.srSettings.noteFoldersToIgnore || [] : [];
+    const srPatterns = this.explorerSettings.useSrIgnoreFolders ? this.srSettings.noteFoldersToIgnore || [] : [];
     const filePath = file.path;
-    for (const pattern of patterns) {
+    for (const pattern of srPatterns) {
       if (pattern && pathMatchesPattern(filePath, pattern)) {
         return true;
       }
     }
-    return false;
+    // Explorer-only globs also match folders, so "Templates" ignores everything inside it.
+    return this.explorerSettings.ignoreGlobs.some((pattern) => pattern && pathMatchesPattern(filePath, pattern, true));
   }
 
-  getDeckNamesForFile(file) {
+  // Note-level decks: the folder, or the note's frontmatter and inline flashcard tags.
+  // Tags on a question's first line belong to that question only and are skipped here.
+  getDeckNamesForFile(file, questions = []) {
     const deckNames = [];
     const settings = this.srSettings;
     if (settings.convertFoldersToDecks) {
@@ -312,11 +1927,16 @@ class SpacedRepetitionExplorerPlugin extends Plugin {
       deckNames.push(folder || DEFAULT_DECK_NAME);
     } else {
       const cache = this.app.metadataCache.getFileCache(file);
-      if (cache?.tags) {
-        for (const tag of cache.tags) {
-          const topic = topicPathFromTag(tag.tag, settings.flashcardTags);
-          if (topic !== null) deckNames.push(topic || DEFAULT_DECK_NAME);
-        }
+      const questionLines = new Set(questions.map((q) => q.firstLine));
+      const tags = [
+        ...(parseFrontMatterTags(cache?.frontmatter) || []),
+        ...(cache?.tags || [])
+          .filter((tag) => !questionLines.has(tag.position?.start.line))
+          .map((tag) => tag.tag),
+      ];
+      for (const tag of tags) {
+        const topic = topicPathFromTag(tag, settings.flashcardTags);
+        if (topic !== null) deckNames.push(topic || DEFAULT_DECK_NAME);
       }
     }
     if (deckNames.length === 0) deckNames.push(DEFAULT_DECK_NAME);
@@ -324,7 +1944,17 @@ class SpacedRepetitionExplorerPlugin extends Plugin {
   }
   async loadExplorerSettings() {
     const stored = await this.loadData();
-    return Object.assign({}, DEFAULT_EXPLORER_SETTINGS, stored || {});
+    const settings = Object.assign({}, DEFAULT_EXPLORER_SETTINGS, stored || {});
+    settings.deckBadges = { ...DEFAULT_EXPLORER_SETTINGS.deckBadges, ...(stored?.deckBadges || {}) };
+    settings.defaultSort = { ...DEFAULT_EXPLORER_SETTINGS.defaultSort, ...(stored?.defaultSort || {}) };
+    settings.deckSorts = { ...(stored?.deckSorts || {}) };
+    settings.ignoreGlobs = [...(stored?.ignoreGlobs || [])];
+    settings.parsingOverrides = { ...(stored?.parsingOverrides || {}) };
+    settings.leechResets = { ...(stored?.leechResets || {}) };
+    settings.suspendedCards = [...(stored?.suspendedCards || [])];
+    settings.cardAnnotations = { ...(stored?.cardAnnotations || {}) };
+    settings.cardFirstSeen = { ...(stored?.cardFirstSeen || {}) };
+    return settings;
   }
 
   async saveExplorerSettings() {
@@ -355,11 +1985,49 @@ class SpacedRepetitionExplorerView extends ItemView {
     this.filteredCards = [];
     this.currentIndex = 0;
     this.mode = "front";
-    this.sortMode = "ease";
+    this.virtualSorts = new Map();
+    this.expandedDecks = new Set();
+    this.viewMode = "card";
+    this.tableSort = null;
+    this.selectedKeys = new Set();
     this.keydownHandler = (e2) => {
       if (this.cardViewEl?.hasClass("sr-is-hidden")) return;
-      if (document.activeElement?.tagName === "TEXTAREA") return;
+      // Bare-letter shortcuts must not fire while typing in the search box, the card editor or a comment.
+      const target = e2.target;
+      if (["INPUT", "SELECT", "TEXTAREA"].includes(target?.tagName) || target?.isContentEditable) return;
+      if (this.session?.finished) return;
+      if (e2.code === "KeyT" && !e2.ctrlKey && !e2.metaKey && !e2.altKey && !this.session) {
+        e2.preventDefault();
+        this.setViewMode(this.viewMode === "table" ? "card" : "table");
+        return;
+      }
+      if (this.viewMode === "table" || this.editing) return;
+      if (e2.ctrlKey || e2.metaKey || e2.altKey) return;
       switch (e2.code) {
+        case "KeyO":
+          e2.preventDefault();
+          this.openActiveCardInNote(e2.shiftKey);
+          break;
+        case "KeyE":
+          e2.preventDefault();
+          this.startEditing();
+          break;
+        case "KeyS":
+          e2.preventDefault();
+          this.toggleSiblings();
+          break;
+        case "KeyF":
+          e2.preventDefault();
+          this.openFlagMenu(null);
+          break;
+        case "KeyB":
+          e2.preventDefault();
+          this.toggleBookmark();
+          break;
+        case "KeyC":
+          e2.preventDefault();
+          this.startComment();
+          break;
         case "Space":
           e2.preventDefault();
           this.toggleAnswer();
@@ -372,6 +2040,26 @@ class SpacedRepetitionExplorerView extends ItemView {
           e2.preventDefault();
           this.shiftCard(-1);
           break;
+        case "KeyY":
+        case "KeyN":
+          if (!this.session || this.mode !== "back") break;
+          e2.preventDefault();
+          this.markSessionCard(e2.code === "KeyY");
+          break;
+        case "Digit0":
+        case "Numpad0":
+        case "Digit1":
+        case "Numpad1":
+        case "Digit2":
+        case "Numpad2":
+        case "Digit3":
+        case "Numpad3": {
+          if (this.mode !== "back" || this.session) break;
+          e2.preventDefault();
+          const response = GRADE_KEYS[e2.code.slice(-1)];
+          this.gradeActiveCard(response);
+          break;
+        }
         default:
           break;
       }
@@ -390,13 +2078,12 @@ class SpacedRepetitionExplorerView extends ItemView {
     return "SpacedRepIcon";
   }
 
-  async onClose() {
-    document.removeEventListener("keydown", this.keydownHandler);
-  }
-
   async onOpen() {
     this.contentEl.empty();
     this.contentEl.addClass("sr-tab-view-content");
+    // Shortcuts only apply while focus is inside the explorer; clicking anywhere in it focuses it.
+    this.contentEl.tabIndex = -1;
+    this.registerDomEvent(this.containerEl, "keydown", this.keydownHandler);
     this._initDeckList();
     this._initCardView();
     await this.loadCards();
@@ -410,6 +2097,36 @@ class SpacedRepetitionExplorerView extends ItemView {
     this._renderDeckList();
   }
 
+  // Called by the plugin after the index was patched or rebuilt; keeps the open deck and card.
+  onIndexChanged() {
+    const index = this.plugin.cachedCards;
+    if (!index || !this.deckListEl) return;
+    this.cards = index.cards;
+    this.deckTree = index.deckTree;
+    this._renderDeckList();
+    if (!this.activeDeck) return;
+    const currentCard = this.filteredCards[this.currentIndex];
+    const wasShowingBack = this.mode === "back";
+    const deckNode = this.activeDeck.isVirtual
+      ? this.activeDeck
+      : this.deckTree.findByPath(this.activeDeck.path);
+    this.activeDeck = deckNode || this.activeDeck;
+    this.filteredCards = deckNode ? this.sortCards(deckNode.getAllCards()) : [];
+    const sameIndex = currentCard
+      ? this.filteredCards.findIndex((card) => card.id === currentCard.id && card.deck === currentCard.deck)
+      : -1;
+    this.currentIndex = sameIndex >= 0
+      ? sameIndex
+      : Math.min(this.currentIndex, Math.max(this.filteredCards.length - 1, 0));
+    if (this.cardViewEl.hasClass("sr-is-hidden")) return;
+    if (this.viewMode === "table") {
+      this.renderTable();
+      return;
+    }
+    this.renderActiveCard();
+    if (wasShowingBack && sameIndex >= 0) this.toggleAnswer();
+  }
+
   _initDeckList() {
     this.deckListEl = this.contentEl.createDiv();
     this.deckListEl.addClasses(["sr-deck-list"]);
@@ -418,18 +2135,61 @@ class SpacedRepetitionExplorerView extends ItemView {
     this.deckTitle.setText("Decks");
     this.deckStats = this.deckHeader.createDiv("sr-header-stats-container");
     this.sortSelect = this.deckHeader.createEl("select", { cls: "sr-sort-select" });
-    this.sortSelect.createEl("option", { value: "ease", text: "Sort: Ease" });
-    this.sortSelect.createEl("option", { value: "due", text: "Sort: Due date" });
-    this.sortSelect.onchange = () => {
-      this.sortMode = this.sortSelect.value;
-      if (this.activeDeck) {
-        this.showDeck(this.activeDeck);
-      }
+    this.sortSelect.setAttr("aria-label", "Card order for decks without their own");
+    for (const { value, label } of SORT_MODES) {
+      this.sortSelect.createEl("option", { value, text: `Sort: ${label}` });
+    }
+    this.sortSelect.value = this.plugin.explorerSettings.defaultSort.mode;
+    this.sortSelect.onchange = async () => {
+      this.plugin.explorerSettings.defaultSort.mode = this.sortSelect.value;
+      this.tableSort = null;
+      await this.plugin.saveExplorerSettings();
     };
+    this.searchInput = this.deckHeader.createEl("input", {
+      cls: "sr-search-input",
+      attr: {
+        type: "search",
+        placeholder: "Search cards… (e.g. deck:Bio ease<200 is:overdue)",
+        "aria-label": "Search cards",
+      },
+    });
+    this.searchErrorEl = this.deckHeader.createDiv("sr-search-error sr-is-hidden");
+    this.progressEl = this.deckHeader.createDiv("sr-index-progress sr-is-hidden");
+    this.progressBar = this.progressEl.createEl("progress", { cls: "sr-index-progress-bar" });
+    this.progressText = this.progressEl.createSpan("sr-index-progress-text");
+    const cancelButton = this.progressEl.createEl("button", {
+      cls: "sr-button clickable-icon",
+      attr: { "aria-label": "Cancel indexing" },
+    });
+    setIcon(cancelButton, "x");
+    cancelButton.onclick = () => this.plugin.cancelIndexBuild();
+    this.searchInput.addEventListener("keydown", (e2) => {
+      if (e2.key !== "Enter") return;
+      e2.preventDefault();
+      this.runSearch(this.searchInput.value);
+    });
+    this.searchInput.addEventListener("input", () => this.searchErrorEl.addClass("sr-is-hidden"));
     this.deckHeader.createEl("hr");
     this.deckContent = this.deckListEl.createDiv("sr-content");
   }
 
+  // Open every card matching the query as a virtual deck in the card view.
+  runSearch(query) {
+    if (!query.trim()) return;
+    let matcher;
+    try {
+      matcher = compileSearchQuery(query, Date.now(), this.plugin.getSearchContext());
+    } catch (err) {
+      this.searchErrorEl.setText(err.message);
+      this.searchErrorEl.removeClass("sr-is-hidden");
+      return;
+    }
+    const deck = new VirtualDeck(`Search: ${query.trim()}`, () =>
+      (this.cards || []).filter((card) => matcher(card))
+    );
+    this.showDeck(deck);
+  }
+
   _initCardView() {
     this.cardViewEl = this.contentEl.createDiv();
     this.cardViewEl.addClasses(["sr-flashcard", "sr-is-hidden"]);
@@ -450,70 +2210,249 @@ class SpacedRepetitionExplorerView extends ItemView {
     this.nextButton.setAttr("aria-label", "Next card");
     this.nextButton.onclick = () => this.shiftCard(1);
 
-    this.infoSection = this.cardViewEl.createDiv("sr-info-section");
-    this.deckInfo = this.infoSection.createDiv("sr-deck-progress-info");
-    this.deckNameEl = this.deckInfo.createDiv("sr-chosen-deck-name");
-    this.deckCountEl = this.deckInfo.createDiv("sr-chosen-deck-card-counter");
-    this.easeEl = this.infoSection.createDiv("sr-context");
+    this.openButton = this.controls.createEl("button", { cls: "sr-button" });
+    setIcon(this.openButton, "file-symlink");
+    this.openButton.setAttr("aria-label", "Open in note (O, Shift+O for a new tab)");
+    this.openButton.onclick = (e2) => this.openActiveCardInNote(e2.ctrlKey || e2.metaKey || e2.shiftKey);
 
-    this.content = this.cardViewEl.createDiv("sr-content");
+    this.editButton = this.controls.createEl("button", { cls: "sr-button" });
+    setIcon(this.editButton, "pencil");
+    this.editButton.setAttr("aria-label", "Edit card (E)");
+    this.editButton.onclick = () => this.startEditing();
+
+    this.tableButton = this.controls.createEl("button", { cls: "sr-button" });
+    setIcon(this.tableButton, "table");
+    this.tableButton.setAttr("aria-label", "Toggle table view (T)");
+    this.tableButton.onclick = () => this.setViewMode(this.viewMode === "table" ? "card" : "table");
+
+    this.siblingsButton = this.controls.createEl("button", { cls: "sr-button" });
+    setIcon(this.siblingsButton, "layers");
+    this.siblingsButton.setAttr("aria-label", "Show sibling cards of this question (S)");
+    this.siblingsButton.onclick = () => this.toggleSiblings();
+
+    this.flagButton = this.controls.createEl("button", { cls: "sr-button" });
+    setIcon(this.flagButton, "flag");
+    this.flagButton.onclick = (e2) => this.openFlagMenu(e2);
+
+    this.bookmarkButton = this.controls.createEl("button", { cls: "sr-button" });
+    setIcon(this.bookmarkButton, "bookmark");
+    this.bookmarkButton.setAttr("aria-label", "Bookmark card (B)");
+    this.bookmarkButton.onclick = () => this.toggleBookmark();
+
+    this.commentButton = this.controls.createEl("button", { cls: "sr-button" });
+    setIcon(this.commentButton, "message-square");
+    this.commentButton.setAttr("aria-label", "Comment on card (C)");
+    this.commentButton.onclick = () => this.startComment();
+
+    this.sortButton = this.controls.createEl("button", { cls: "sr-button" });
+    setIcon(this.sortButton, "arrow-down-up");
+    this.sortButton.setAttr("aria-label", "Card order");
+    this.sortButton.onclick = (e2) => this.openSortMenu(e2);
+
+    this.statsButton = this.controls.createEl("button", { cls: "sr-button" });
+    setIcon(this.statsButton, "bar-chart-2");
+    this.statsButton.setAttr("aria-label", "Deck statistics");
+    this.statsButton.onclick = () =>
+      this.plugin.activateStatsView(this.activeDeck && !this.activeDeck.isVirtual ? this.activeDeck.path : "");
+
+    this.infoSection = this.cardViewEl.createDiv("sr-info-section");
+    this.deckInfo = this.infoSection.createDiv("sr-deck-progress-info");
+    this.deckNameEl = this.deckInfo.createDiv("sr-chosen-deck-name");
+    this.deckCountEl = this.deckInfo.createDiv("sr-chosen-deck-card-counter");
+    this.easeEl = this.infoSection.createDiv("sr-context");
+    this.leechEl = this.infoSection.createDiv("sr-leech-info sr-is-hidden");
+    this.annotationEl = this.infoSection.createDiv("sr-card-annotation sr-is-hidden");
+    this.sessionBarEl = this.infoSection.createDiv("sr-session-bar sr-is-hidden");
+    this.sessionProgressEl = this.sessionBarEl.createEl("progress", { cls: "sr-session-progress" });
+    this.sessionTimerEl = this.sessionBarEl.createSpan("sr-session-timer");
+
+    this.content = this.cardViewEl.createDiv("sr-content");
     this.frontEl = this.content.createDiv("sr-question");
     this.separatorEl = this.content.createEl("hr");
     this.separatorEl.addClass("sr-is-hidden");
     this.backEl = this.content.createDiv("sr-answer");
     this.backEl.addClass("sr-is-hidden");
+    this.contextEl = this.content.createEl("details", { cls: "sr-card-context sr-is-hidden" });
+    this.contextEl.open = this.plugin.explorerSettings.contextPanelOpen;
+    this.contextEl.createEl("summary", { text: "Context" });
+    this.contextBodyEl = this.contextEl.createDiv("sr-card-context-body");
+    this.contextRenders = 0;
+    this.contextEl.addEventListener("toggle", async () => {
+      if (this.contextEl.open === this.plugin.explorerSettings.contextPanelOpen) return;
+      this.plugin.explorerSettings.contextPanelOpen = this.contextEl.open;
+      await this.plugin.saveExplorerSettings();
+    });
+    this.siblingsEl = this.content.createDiv("sr-siblings sr-is-hidden");
+    // Async cloze renders are dropped when a newer one for the same side has started.
+    this.sideRenders = { front: 0, back: 0 };
+    // Owners of the markdown rendered into each side and the context paragraph, replaced on every render.
+    this.renderComponents = {};
+    // Click a hidden cloze to reveal just that one.
+    this.frontEl.addEventListener("click", (e2) => {
+      const cloze = e2.target.closest?.(".sr-cloze-hidden");
+      if (cloze) cloze.addClass("is-revealed");
+    });
+    this.editEl = this.content.createDiv("sr-card-editor sr-is-hidden");
+    this.sessionSummaryEl = this.cardViewEl.createDiv("sr-session-summary sr-is-hidden");
 
     this.response = this.cardViewEl.createDiv("sr-response");
     this.answerButton = this.response.createEl("button", { cls: "sr-button" });
     this.answerButton.style.width = "100%";
     this.answerButton.setText("Show answer (Space)");
     this.answerButton.onclick = () => this.toggleAnswer();
+
+    this._initTable();
+
+    this.gradeButtonsEl = this.response.createDiv("sr-grade-buttons sr-is-hidden");
+    this.gradeButtons = {};
+    for (const { response, label, key, cls } of GRADE_BUTTONS) {
+      const button = this.gradeButtonsEl.createEl("button", {
+        cls: `sr-button sr-response-button ${cls}`,
+      });
+      button.setAttr("aria-label", `${label} (${key})`);
+      button.onclick = () => this.gradeActiveCard(response);
+      this.gradeButtons[response] = { button, label };
+    }
+
+    this.sessionButtonsEl = this.response.createDiv("sr-grade-buttons sr-is-hidden");
+    const missedButton = this.sessionButtonsEl.createEl("button", {
+      cls: "sr-button sr-response-button sr-bg-red",
+      text: "Didn't know (N)",
+    });
+    missedButton.onclick = () => this.markSessionCard(false);
+    const knewButton = this.sessionButtonsEl.createEl("button", {
+      cls: "sr-button sr-response-button sr-bg-green",
+      text: "Knew it (Y)",
+    });
+    knewButton.onclick = () => this.markSessionCard(true);
+  }
+
+  onIndexProgress(partialIndex) {
+    if (!this.deckListEl) return;
+    this.cards = partialIndex.cards;
+    this.deckTree = partialIndex.deckTree;
+    this._renderDeckList();
+  }
+
+  renderIndexProgress() {
+    const progress = this.plugin.indexProgress;
+    this.progressEl.toggleClass("sr-is-hidden", !progress);
+    if (!progress) return;
+    this.progressBar.max = progress.total;
+    this.progressBar.value = progress.done;
+    this.progressText.setText(`Indexing ${progress.done}/${progress.total} notes…`);
   }
 
   _renderDeckList() {
+    this.renderIndexProgress();
     this.deckContent.empty();
     this.deckStats.empty();
     const total = this.cards ? this.cards.length : 0;
-    const statsContainer = this.deckStats.createDiv();
-    statsContainer.addClasses(["tag-pane-tag-count", "tree-item-flair", "sr-header-stats-count", "sr-bg-blue"]);
-    statsContainer.setText(`${total} cards`);
-    if (!this.deckTree) return;
+    if (!this.deckTree) {
+      const statsContainer = this.deckStats.createDiv();
+      statsContainer.addClasses(["tag-pane-tag-count", "tree-item-flair", "sr-header-stats-count", "sr-bg-red"]);
+      statsContainer.setText(`${total} cards`);
+      return;
+    }
+    const stats = this.deckTree.getStats();
+    const summary = [
+      { text: `${stats.due} due`, cls: "sr-bg-green", label: "Due today" },
+      { text: `${stats.overdue} overdue`, cls: "sr-bg-orange", label: "Overdue" },
+      { text: `${stats.new} new`, cls: "sr-bg-blue", label: "New" },
+      { text: `${total} cards`, cls: "sr-bg-red", label: "Total" },
+    ];
+    if (stats.meanEase !== null) {
+      summary.push({ text: `ease ${stats.meanEase}`, cls: "sr-bg-grey", label: "Mean ease" });
+    }
+    for (const { text, cls, label } of summary) {
+      const statsContainer = this.deckStats.createDiv();
+      statsContainer.addClasses(["tag-pane-tag-count", "tree-item-flair", "sr-header-stats-count", cls]);
+      statsContainer.setAttr("aria-label", label);
+      statsContainer.setText(text);
+    }
+    if (this.plugin.explorerSettings.showLeechDeck) {
+      this._createVirtualDeckRow(
+        new VirtualDeck("Leeches", () => this.plugin.getLeechCards(this.cards || [])),
+        "alert-triangle",
+        "sr-bg-red"
+      );
+    }
+    if (this.plugin.explorerSettings.showFlagDecks) {
+      const annotatedDecks = [
+        ...CARD_FLAGS.map((flag) => ({
+          name: `Flagged: ${flag.label}`,
+          icon: "flag",
+          cls: flag.cls,
+          matches: (annotation) => annotation.flag === flag.key,
+        })),
+        { name: "Bookmarked", icon: "bookmark", cls: "sr-bg-grey", matches: (annotation) => annotation.bookmarked },
+      ];
+      for (const { name, icon, cls, matches } of annotatedDecks) {
+        const deck = new VirtualDeck(name, () => this.plugin.getAnnotatedCards(this.cards || [], matches));
+        // Only decks with cards get a row, so unused colors don't crowd the tree.
+        if (deck.getAllCards().length > 0) this._createVirtualDeckRow(deck, icon, cls);
+      }
+    }
     this.deckTree.sortSubdecks();
     for (const sub of this.deckTree.subdecks) {
       this._createDeckTreeRow(sub, this.deckContent);
     }
   }
 
+  // Pinned rows for virtual decks (leeches, flags) above the real deck tree.
+  _createVirtualDeckRow(deck, icon, badgeCls) {
+    const row = this.deckContent.createDiv("tree-item sr-tree-item-container sr-virtual-deck");
+    const rowSelf = row.createDiv("tree-item-self tag-pane-tag is-clickable sr-tree-item-row");
+    setIcon(rowSelf.createDiv("tree-item-icon"), icon);
+    rowSelf.createDiv("tree-item-inner").createDiv({ cls: "tag-pane-tag-text", text: deck.name });
+    const outer = rowSelf.createDiv();
+    outer.addClasses(["tree-item-flair-outer", "sr-tree-stats-container"]);
+    const count = outer.createDiv();
+    count.addClasses(["tag-pane-tag-count", "tree-item-flair", "sr-tree-stats-count", badgeCls]);
+    count.setText(String(deck.getAllCards().length));
+    rowSelf.addEventListener("click", () => this.showDeck(deck));
+    return row;
+  }
+
   _createDeckTreeRow(deckNode, container) {
     const deckTree = container.createDiv("tree-item sr-tree-item-container");
     const deckTreeSelf = deckTree.createDiv(
       "tree-item-self tag-pane-tag is-clickable sr-tree-item-row"
     );
-    let collapsed = true;
+    // Remember expanded decks so live index updates don't collapse the tree.
+    let collapsed = !this.expandedDecks.has(deckNode.path);
     let collapseIconEl = null;
     if (deckNode.subdecks.length > 0) {
       collapseIconEl = deckTreeSelf.createDiv("tree-item-icon collapse-icon");
       collapseIconEl.innerHTML = COLLAPSE_ICON;
-      collapseIconEl.childNodes[0].style.transform = "rotate(-90deg)";
+      collapseIconEl.childNodes[0].style.transform = collapsed ? "rotate(-90deg)" : "";
     }
     const deckTreeInner = deckTreeSelf.createDiv("tree-item-inner");
     const deckTreeInnerText = deckTreeInner.createDiv("tag-pane-tag-text");
     deckTreeInnerText.innerHTML = `<span class="tag-pane-tag-self">${deckNode.name}</span>`;
     const deckTreeOuter = deckTreeSelf.createDiv();
     deckTreeOuter.addClasses(["tree-item-flair-outer", "sr-tree-stats-container"]);
-    const statsContainer = deckTreeOuter.createDiv();
-    statsContainer.addClasses([
-      "tag-pane-tag-count",
-      "tree-item-flair",
-      "sr-tree-stats-count",
-      "sr-bg-blue",
-    ]);
-    statsContainer.setText(deckNode.getTotalCount().toString());
+    const stats = deckNode.getStats();
+    const enabled = this.plugin.explorerSettings.deckBadges;
+    for (const badge of DECK_BADGES) {
+      if (!enabled[badge.key] || stats[badge.key] === null) continue;
+      const statsContainer = deckTreeOuter.createDiv();
+      statsContainer.addClasses([
+        "tag-pane-tag-count",
+        "tree-item-flair",
+        "sr-tree-stats-count",
+        badge.cls,
+      ]);
+      statsContainer.setAttr("aria-label", badge.label);
+      statsContainer.setText(stats[badge.key].toString());
+    }
     const deckTreeChildren = deckTree.createDiv("tree-item-children");
-    deckTreeChildren.style.display = "none";
+    deckTreeChildren.style.display = collapsed ? "none" : "block";
     if (deckNode.subdecks.length > 0 && collapseIconEl) {
       collapseIconEl.addEventListener("click", (e2) => {
         collapsed = !collapsed;
+        if (collapsed) this.expandedDecks.delete(deckNode.path);
+        else this.expandedDecks.add(deckNode.path);
         deckTreeChildren.style.display = collapsed ? "none" : "block";
         collapseIconEl.childNodes[0].style.transform = collapsed ? "rotate(-90deg)" : "";
         e2.stopPropagation();
@@ -522,41 +2461,345 @@ class SpacedRepetitionExplorerView extends ItemView {
     deckTreeSelf.addEventListener("click", () => {
       this.showDeck(deckNode);
     });
+    deckTreeSelf.addEventListener("contextmenu", (e2) => {
+      e2.preventDefault();
+      const menu = new Menu();
+      menu.addItem((item) =>
+        item
+          .setTitle("Study deck…")
+          .setIcon("play")
+          .onClick(() => this.plugin.openSessionModal(deckNode.path))
+      );
+      menu.addItem((item) =>
+        item
+          .setTitle("Export deck…")
+          .setIcon("download")
+          .onClick(() => this.plugin.openExportModal(deckNode.path))
+      );
+      menu.addItem((item) =>
+        item
+          .setTitle("Change schedules…")
+          .setIcon("calendar-clock")
+          .onClick(() => this.plugin.openBulkScheduleModal(deckNode.path, deckNode.getAllCards()))
+      );
+      menu.showAtMouseEvent(e2);
+    });
     for (const sub of deckNode.subdecks) {
       this._createDeckTreeRow(sub, deckTreeChildren);
     }
   }
 
   showDeck(deckNode) {
+    if (this.session && deckNode !== this.session.deck) this.stopSession();
     this.activeDeck = deckNode;
-    this.filteredCards = deckNode.getAllCards().slice();
-    this.filteredCards.sort((a, b) => {
-      if (this.sortMode === "due") {
-        const dueA = parseDueDate(a.due);
-        const dueB = parseDueDate(b.due);
-        if (dueA !== dueB) return dueA - dueB;
-      } else {
-        const easeA = a.ease ?? Number.MAX_SAFE_INTEGER;
-        const easeB = b.ease ?? Number.MAX_SAFE_INTEGER;
-        if (easeA !== easeB) return easeA - easeB;
-      }
-      return a.front.localeCompare(b.front);
-    });
+    this.filteredCards = this.sortCards(deckNode.getAllCards());
     this.currentIndex = 0;
+    this.selectedKeys.clear();
     this.showFlashcards();
-    this.renderActiveCard();
+    if (this.viewMode === "table") {
+      this.renderTable();
+    } else {
+      this.renderActiveCard();
+    }
+  }
+
+  // Show the card's deck with this card active.
+  showCard(card) {
+    const deckNode = this.deckTree.findByPath(card.deck);
+    if (!deckNode) return;
+    this.showDeck(deckNode);
+    const idx = this.filteredCards.findIndex((other) => cardKey(other) === cardKey(card));
+    if (idx <= 0) return;
+    this.currentIndex = idx;
+    if (this.viewMode === "table") {
+      this.tableBodyEl.scrollTop = idx * TABLE_ROW_HEIGHT;
+      this.selectTableRow(idx, {});
+    } else {
+      this.renderActiveCard();
+    }
+  }
+
+  sortCards(cards) {
+    // Session cards keep the order chosen when the session started.
+    if (this.session) return cards;
+    if (this.tableSort) return sortByTableColumn(cards, this.tableSort);
+    return sortCardsBy(cards, this.getDeckSort(), this.plugin.getSortContext());
+  }
+
+  // The active deck's remembered order; virtual decks only remember theirs until the view closes.
+  getDeckSort(deck = this.activeDeck) {
+    const { deckSorts, defaultSort } = this.plugin.explorerSettings;
+    if (!deck) return defaultSort;
+    if (deck.isVirtual) return this.virtualSorts.get(deck.name) || defaultSort;
+    return deckSorts[deck.path] || defaultSort;
+  }
+
+  async setDeckSort(sort) {
+    const deck = this.activeDeck;
+    if (!deck) return;
+    if (deck.isVirtual) {
+      this.virtualSorts.set(deck.name, sort);
+    } else {
+      this.plugin.explorerSettings.deckSorts[deck.path] = sort;
+      await this.plugin.saveExplorerSettings();
+    }
+    this.tableSort = null;
+    this.showDeck(deck);
+  }
+
+  openSortMenu(evt) {
+    const sort = this.getDeckSort();
+    const menu = new Menu();
+    for (const { value, label } of SORT_MODES) {
+      menu.addItem((item) =>
+        item
+          .setTitle(label)
+          .setChecked(!this.tableSort && sort.mode === value)
+          .onClick(() => this.setDeckSort({ ...sort, mode: value }))
+      );
+    }
+    menu.addSeparator();
+    menu.addItem((item) =>
+      item
+        .setTitle("Then by front text")
+        .setChecked(!sort.secondary)
+        .onClick(() => this.setDeckSort({ ...sort, secondary: "" }))
+    );
+    for (const { value, label } of SORT_MODES) {
+      if (value === sort.mode || value === "random") continue;
+      menu.addItem((item) =>
+        item
+          .setTitle(`Then by ${label.toLowerCase()}`)
+          .setChecked(sort.secondary === value)
+          .onClick(() => this.setDeckSort({ ...sort, secondary: value }))
+      );
+    }
+    menu.addSeparator();
+    menu.addItem((item) =>
+      item
+        .setTitle("Reverse order")
+        .setIcon("arrow-up-down")
+        .setChecked(sort.reverse)
+        .onClick(() => this.setDeckSort({ ...sort, reverse: !sort.reverse }))
+    );
+    if (sort.mode === "random") {
+      menu.addItem((item) =>
+        item
+          .setTitle("Reshuffle")
+          .setIcon("shuffle")
+          .onClick(() => this.setDeckSort({ ...sort, seed: Math.floor(Math.random() * 1e9) }))
+      );
+    }
+    menu.showAtMouseEvent(evt);
+  }
+
+  _initTable() {
+    this.tableEl = this.cardViewEl.createDiv("sr-card-table sr-is-hidden");
+    this.tableHeaderEl = this.tableEl.createDiv("sr-card-table-row sr-card-table-header");
+    this.tableBodyEl = this.tableEl.createDiv("sr-card-table-body");
+    this.tableSpacerEl = this.tableBodyEl.createDiv("sr-card-table-spacer");
+    let scheduled = false;
+    this.tableBodyEl.addEventListener("scroll", () => {
+      if (scheduled) return;
+      scheduled = true;
+      requestAnimationFrame(() => {
+        scheduled = false;
+        this.renderTableRows();
+      });
+    });
+  }
+
+  setViewMode(mode) {
+    if (this.editing) this.stopEditing();
+    this.viewMode = mode;
+    const isTable = mode === "table";
+    this.tableEl.toggleClass("sr-is-hidden", !isTable);
+    this.content.toggleClass("sr-is-hidden", isTable);
+    this.response.toggleClass("sr-is-hidden", isTable);
+    this.easeEl.toggleClass("sr-is-hidden", isTable);
+    this.tableButton.toggleClass("mod-cta", isTable);
+    if (isTable) {
+      this.renderTable();
+    } else {
+      this.renderActiveCard();
+    }
+  }
+
+  renderTable() {
+    this.deckNameEl.setText(this.activeDeck ? this.activeDeck.name : "No deck");
+    this.updateTableCount();
+    this.tableHeaderEl.empty();
+    for (const column of TABLE_COLUMNS) {
+      const cell = this.tableHeaderEl.createDiv("sr-card-table-cell is-clickable");
+      const active = this.tableSort?.key === column.key;
+      cell.setText(column.label + (active ? (this.tableSort.dir === 1 ? " ▲" : " ▼") : ""));
+      cell.onclick = () => {
+        const dir = active && this.tableSort.dir === 1 ? -1 : 1;
+        this.tableSort = { key: column.key, dir };
+        this.filteredCards = sortByTableColumn(this.filteredCards, this.tableSort);
+        this.currentIndex = 0;
+        this.renderTable();
+      };
+    }
+    this.tableSpacerEl.style.height = `${this.filteredCards.length * TABLE_ROW_HEIGHT}px`;
+    this.renderTableRows(true);
+  }
+
+  // Only the rows in (and just around) the viewport exist in the DOM.
+  renderTableRows(force = false) {
+    const total = this.filteredCards.length;
+    const visible = Math.ceil((this.tableBodyEl.clientHeight || 600) / TABLE_ROW_HEIGHT);
+    const start = Math.max(0, Math.floor(this.tableBodyEl.scrollTop / TABLE_ROW_HEIGHT) - TABLE_ROW_BUFFER);
+    const end = Math.min(total, start + visible + 2 * TABLE_ROW_BUFFER);
+    if (!force && this.tableWindow && this.tableWindow.start === start && this.tableWindow.end === end) return;
+    this.tableWindow = { start, end };
+    this.tableSpacerEl.empty();
+    for (let idx = start; idx < end; idx++) {
+      const card = this.filteredCards[idx];
+      const row = this.tableSpacerEl.createDiv("sr-card-table-row");
+      row.style.top = `${idx * TABLE_ROW_HEIGHT}px`;
+      row.toggleClass("is-selected", this.selectedKeys.has(cardKey(card)));
+      for (const column of TABLE_COLUMNS) {
+        const cell = row.createDiv("sr-card-table-cell");
+        const text = column.display(card);
+        cell.setText(text);
+        cell.setAttr("title", text);
+      }
+      row.addEventListener("click", (e2) => this.selectTableRow(idx, e2));
+      row.addEventListener("dblclick", () => {
+        this.currentIndex = idx;
+        this.setViewMode("card");
+      });
+    }
+  }
+
+  // Click selects one row, Ctrl/Cmd-click toggles, Shift-click extends from the last clicked row.
+  selectTableRow(idx, e2) {
+    const key = cardKey(this.filteredCards[idx]);
+    if (e2.shiftKey && this.tableAnchor !== undefined) {
+      const [from, to] = [Math.min(this.tableAnchor, idx), Math.max(this.tableAnchor, idx)];
+      for (let i = from; i <= to; i++) {
+        this.selectedKeys.add(cardKey(this.filteredCards[i]));
+      }
+    } else if (e2.ctrlKey || e2.metaKey) {
+      if (this.selectedKeys.has(key)) this.selectedKeys.delete(key);
+      else this.selectedKeys.add(key);
+      this.tableAnchor = idx;
+    } else {
+      this.selectedKeys.clear();
+      this.selectedKeys.add(key);
+      this.tableAnchor = idx;
+    }
+    this.currentIndex = idx;
+    this.updateTableCount();
+    this.renderTableRows(true);
+  }
+
+  updateTableCount() {
+    const selected = this.selectedKeys.size;
+    this.deckCountEl.setText(
+      selected > 0 ? `${selected} selected / ${this.filteredCards.length}` : `${this.filteredCards.length} cards`
+    );
+  }
+
+  getSelectedCards() {
+    return this.filteredCards.filter((card) => this.selectedKeys.has(cardKey(card)));
   }
 
   showDecks() {
-    document.removeEventListener("keydown", this.keydownHandler);
+    this.stopSession();
     this.cardViewEl.addClass("sr-is-hidden");
     this.deckListEl.removeClass("sr-is-hidden");
   }
 
   showFlashcards() {
-    document.addEventListener("keydown", this.keydownHandler);
     this.deckListEl.addClass("sr-is-hidden");
     this.cardViewEl.removeClass("sr-is-hidden");
+    if (!this.contentEl.contains(document.activeElement)) this.contentEl.focus();
+  }
+
+  getActiveCard() {
+    if (this.cardViewEl?.hasClass("sr-is-hidden") || !this.filteredCards) return null;
+    return this.filteredCards[this.currentIndex] || null;
+  }
+
+  async openActiveCardInNote(newLeaf) {
+    const card = this.getActiveCard();
+    if (!card) return;
+    try {
+      await this.plugin.openCardInNote(card, newLeaf);
+    } catch (err) {
+      new Notice(err.message);
+    }
+  }
+
+  async startEditing() {
+    const card = this.getActiveCard();
+    if (!card || this.editing || this.viewMode === "table") return;
+    let source;
+    try {
+      source = await this.plugin.getEditableCardText(card);
+    } catch (err) {
+      new Notice(err.message);
+      return;
+    }
+    this.editing = true;
+    this.editEl.empty();
+    const fields = {};
+    const addField = (key, label, value) => {
+      this.editEl.createDiv({ cls: "sr-card-editor-label", text: label });
+      const textarea = this.editEl.createEl("textarea", { cls: "sr-card-editor-input" });
+      textarea.value = value;
+      textarea.rows = Math.min(12, Math.max(3, value.split("\n").length + 1));
+      textarea.addEventListener("keydown", (e2) => {
+        if (e2.key === "Enter" && (e2.ctrlKey || e2.metaKey)) {
+          e2.preventDefault();
+          save();
+        } else if (e2.key === "Escape") {
+          e2.preventDefault();
+          this.stopEditing();
+        }
+      });
+      fields[key] = textarea;
+    };
+    const save = async () => {
+      const edit = Object.fromEntries(Object.entries(fields).map(([key, el]) => [key, el.value]));
+      try {
+        await this.plugin.editCard(card, edit);
+        new Notice("Card saved");
+        this.stopEditing();
+      } catch (err) {
+        new Notice(`Could not save card: ${err.message}`);
+      }
+    };
+    if ("text" in source) {
+      addField("text", "Cloze text", source.text);
+    } else {
+      addField("front", "Front", source.front);
+      addField("back", "Back", source.back);
+    }
+    const buttons = this.editEl.createDiv("sr-card-editor-buttons");
+    const saveButton = buttons.createEl("button", { cls: "sr-button mod-cta", text: "Save (Ctrl+Enter)" });
+    saveButton.onclick = save;
+    const cancelButton = buttons.createEl("button", { cls: "sr-button", text: "Cancel (Esc)" });
+    cancelButton.onclick = () => this.stopEditing();
+    this.frontEl.addClass("sr-is-hidden");
+    this.backEl.addClass("sr-is-hidden");
+    this.contextEl.addClass("sr-is-hidden");
+    this.siblingsEl.addClass("sr-is-hidden");
+    this.separatorEl.addClass("sr-is-hidden");
+    this.response.addClass("sr-is-hidden");
+    this.editEl.removeClass("sr-is-hidden");
+    Object.values(fields)[0].focus();
+  }
+
+  stopEditing() {
+    this.editing = false;
+    this.editEl.empty();
+    this.editEl.addClass("sr-is-hidden");
+    this.frontEl.removeClass("sr-is-hidden");
+    this.response.removeClass("sr-is-hidden");
+    this.renderActiveCard();
   }
 
   renderActiveCard() {
@@ -570,6 +2813,12 @@ class SpacedRepetitionExplorerView extends ItemView {
       this.deckNameEl.setText(this.activeDeck ? this.activeDeck.name : "No deck");
       this.deckCountEl.setText("0/0");
       this.easeEl.setText("");
+      this.leechEl.addClass("sr-is-hidden");
+      this.annotationEl.addClass("sr-is-hidden");
+      this.siblingsEl.addClass("sr-is-hidden");
+      this.contextEl.addClass("sr-is-hidden");
+      this.sideRenders.front++;
+      this.contextRenders++;
       return;
     }
     const card = this.filteredCards[this.currentIndex];
@@ -577,15 +2826,257 @@ class SpacedRepetitionExplorerView extends ItemView {
     this.deckCountEl.setText(`${this.currentIndex + 1}/${this.filteredCards.length}`);
     const dueLabel = card.due ? `Due ${card.due}` : "Due n/a";
     this.easeEl.setText(`Ease ${card.ease ?? this.plugin.srSettings.baseEase} · ${dueLabel}`);
-
-    const wrapper = new RenderMarkdownWrapper(
-      this.app,
-      this.plugin,
-      card.filePath
-    );
-    wrapper.renderMarkdownWrapper(card.front.trimStart(), this.frontEl, null);
+    this.renderLeechInfo(card);
+    this.renderAnnotation(card);
+    this.renderCardSide(card, "front", this.frontEl);
+    this.renderContext(card);
+    if (this.showSiblings) this.renderSiblings(card);
     this.answerButton.removeClass("sr-bg-green");
     this.answerButton.setText("Show answer (Space)");
+    this.gradeButtonsEl.addClass("sr-is-hidden");
+    this.sessionButtonsEl.addClass("sr-is-hidden");
+    this.updateSessionBar();
+  }
+
+  // Cloze cards are re-rendered from their note so the tested deletion can be highlighted.
+  async renderCardSide(card, side, containerEl) {
+    const token = ++this.sideRenders[side];
+    let markdown = side === "front" ? card.front.trimStart() : card.back;
+    const layout = await this.plugin.getClozeLayout(card);
+    if (token !== this.sideRenders[side]) return;
+    const active = layout?.groups[card.siblingIndex];
+    if (active) {
+      const hideAll = this.plugin.explorerSettings.clozeHideAll;
+      markdown = renderClozeMarkdown(layout.text, layout.deletions, active, side, hideAll);
+    }
+    containerEl.empty();
+    if (side === "front" && this.plugin.explorerSettings.contextInQuestion) {
+      containerEl.createDiv({ cls: "sr-question-context", text: this.plugin.getCardBreadcrumb(card).join(" › ") });
+    }
+    new RenderMarkdownWrapper(this.app, this.plugin, card.filePath, this.renewRenderComponent(side)).renderMarkdownWrapper(
+      markdown,
+      containerEl,
+      null
+    );
+  }
+
+  // A fresh owner for the markdown rendered into `slot`, unloading what the previous render left there.
+  renewRenderComponent(slot) {
+    if (this.renderComponents[slot]) this.removeChild(this.renderComponents[slot]);
+    this.renderComponents[slot] = this.addChild(new Component());
+    return this.renderComponents[slot];
+  }
+
+  // Note title, heading path, optionally the paragraph above the card, and backlinks to the note.
+  async renderContext(card) {
+    const token = ++this.contextRenders;
+    let context = null;
+    try {
+      context = await this.plugin.getCardContext(card);
+    } catch (err) {
+      console.warn("[Spaced Repetition Explorer] Failed to read card context", err);
+    }
+    if (token !== this.contextRenders) return;
+    this.contextBodyEl.empty();
+    const component = this.renewRenderComponent("context");
+    this.contextEl.toggleClass("sr-is-hidden", !context);
+    if (!context) return;
+
+    const crumbs = this.contextBodyEl.createDiv("sr-breadcrumb");
+    context.breadcrumb.forEach((crumb, idx) => {
+      if (idx > 0) crumbs.createSpan({ cls: "sr-breadcrumb-separator", text: "›" });
+      const item = crumbs.createSpan({ cls: "sr-breadcrumb-item", text: crumb });
+      if (idx === 0) {
+        item.addClass("is-clickable");
+        item.onclick = () => this.plugin.openCardInNote(card).catch((err) => new Notice(err.message));
+      }
+    });
+    if (context.paragraph) {
+      const paragraphEl = this.contextBodyEl.createDiv("sr-context-paragraph");
+      new RenderMarkdownWrapper(this.app, this.plugin, card.filePath, component).renderMarkdownWrapper(
+        context.paragraph,
+        paragraphEl,
+        null
+      );
+    }
+    const backlinksEl = this.contextBodyEl.createDiv("sr-backlinks");
+    backlinksEl.createSpan({ cls: "sr-backlinks-title", text: `Backlinks (${context.backlinks.length})` });
+    for (const source of context.backlinks) {
+      const link = backlinksEl.createEl("a", { cls: "sr-backlink", text: source.replace(/\.md$/, "") });
+      link.onclick = (e2) => {
+        e2.preventDefault();
+        this.app.workspace.openLinkText(source, card.filePath, e2.ctrlKey || e2.metaKey);
+      };
+    }
+  }
+
+  toggleSiblings() {
+    if (this.viewMode !== "card" || this.editing) return;
+    this.showSiblings = !this.showSiblings;
+    this.siblingsButton.toggleClass("mod-cta", this.showSiblings);
+    const card = this.filteredCards?.[this.currentIndex];
+    if (this.showSiblings && card) this.renderSiblings(card);
+    else this.siblingsEl.addClass("sr-is-hidden");
+  }
+
+  // The other cards generated from the same question (cloze deletions, reversed pairs), by schedule.
+  renderSiblings(card) {
+    this.siblingsEl.empty();
+    this.siblingsEl.removeClass("sr-is-hidden");
+    const questionId = siblingGroupId(card);
+    const siblings = this.cards
+      .filter((other) => other.deck === card.deck && siblingGroupId(other) === questionId)
+      .sort((a, b) => a.siblingIndex - b.siblingIndex);
+    this.siblingsEl.createDiv({ cls: "sr-siblings-title", text: `Siblings (${siblings.length})` });
+    if (siblings.length <= 1) {
+      this.siblingsEl.createDiv({ cls: "sr-siblings-empty", text: "This question has no other cards." });
+      return;
+    }
+    for (const sibling of siblings) {
+      const row = this.siblingsEl.createDiv("sr-sibling");
+      if (sibling.id === card.id) row.addClass("is-active");
+      row.createSpan({ cls: "sr-sibling-index", text: `#${sibling.siblingIndex + 1}` });
+      row.createSpan({ cls: "sr-sibling-front", text: truncateText(sibling.front.trim(), 80) });
+      const schedule = sibling.due ? `Ease ${sibling.ease} · Due ${sibling.due}` : "New";
+      row.createSpan({ cls: "sr-sibling-schedule", text: schedule });
+      row.onclick = () => {
+        // Stay in the current (possibly virtual) deck when the sibling is part of it.
+        const idx = this.filteredCards.findIndex((other) => cardKey(other) === cardKey(sibling));
+        if (idx < 0) return this.showCard(sibling);
+        this.currentIndex = idx;
+        this.renderActiveCard();
+      };
+    }
+  }
+
+  // Flag and bookmark state on the controls, plus the card's comment (editable in place).
+  renderAnnotation(card, editing = false) {
+    const annotation = this.plugin.getAnnotation(card);
+    const flag = CARD_FLAGS.find((entry) => entry.key === annotation?.flag);
+    for (const entry of CARD_FLAGS) this.flagButton.toggleClass(entry.cls, entry === flag);
+    this.flagButton.setAttr("aria-label", flag ? `Flag: ${flag.label} (F)` : "Flag card (F)");
+    this.bookmarkButton.toggleClass("mod-cta", !!annotation?.bookmarked);
+    this.commentButton.toggleClass("mod-cta", !!annotation?.comment);
+
+    this.annotationEl.empty();
+    const comment = annotation?.comment || "";
+    this.annotationEl.toggleClass("sr-is-hidden", !editing && !comment);
+    if (!editing) {
+      const commentEl = this.annotationEl.createDiv({ cls: "sr-card-comment", text: comment });
+      commentEl.setAttr("aria-label", "Click to edit");
+      commentEl.onclick = () => this.startComment();
+      return;
+    }
+    const input = this.annotationEl.createEl("textarea", { cls: "sr-card-comment-input" });
+    input.value = comment;
+    input.placeholder = "Comment (Ctrl/Cmd+Enter to save, Esc to cancel)";
+    const save = async () => {
+      if (!input.isConnected) return;
+      this.annotationEl.empty();
+      try {
+        await this.plugin.annotateCard(card, { comment: input.value.trim() });
+      } catch (err) {
+        new Notice(err.message);
+      }
+      this.renderAnnotation(card);
+    };
+    input.addEventListener("keydown", (e2) => {
+      if (e2.key === "Enter" && (e2.ctrlKey || e2.metaKey)) {
+        e2.preventDefault();
+        save();
+      } else if (e2.key === "Escape") {
+        e2.preventDefault();
+        this.annotationEl.empty();
+        this.renderAnnotation(card);
+      }
+    });
+    input.addEventListener("blur", save);
+    input.focus();
+  }
+
+  // The card flags, bookmarks and comments apply to: only in card mode and not while editing it.
+  getAnnotatableCard() {
+    if (this.viewMode !== "card" || this.editing) return null;
+    return this.getActiveCard();
+  }
+
+  openFlagMenu(evt) {
+    const card = this.getAnnotatableCard();
+    if (!card) return;
+    const current = this.plugin.getAnnotation(card)?.flag ?? null;
+    const setFlag = async (flag) => {
+      await this.plugin.annotateCard(card, { flag });
+      this.renderAnnotation(card);
+    };
+    const menu = new Menu();
+    for (const flag of CARD_FLAGS) {
+      menu.addItem((item) =>
+        item
+          .setTitle(flag.label)
+          .setIcon("flag")
+          .setChecked(current === flag.key)
+          .onClick(() => setFlag(flag.key))
+      );
+    }
+    menu.addSeparator();
+    menu.addItem((item) => item.setTitle("No flag").setChecked(current === null).onClick(() => setFlag(null)));
+    if (evt) {
+      menu.showAtMouseEvent(evt);
+    } else {
+      const rect = this.flagButton.getBoundingClientRect();
+      menu.showAtPosition({ x: rect.left, y: rect.bottom });
+    }
+  }
+
+  async toggleBookmark() {
+    const card = this.getAnnotatableCard();
+    if (!card) return;
+    await this.plugin.annotateCard(card, { bookmarked: !this.plugin.getAnnotation(card)?.bookmarked });
+    this.renderAnnotation(card);
+  }
+
+  startComment() {
+    const card = this.getAnnotatableCard();
+    if (card) this.renderAnnotation(card, true);
+  }
+
+  renderLeechInfo(card) {
+    this.leechEl.empty();
+    const reasons = this.plugin.getLeechReasons(card);
+    const hidden = this.plugin.isHiddenLeech(card);
+    if (reasons.length === 0 && !hidden) {
+      this.leechEl.addClass("sr-is-hidden");
+      return;
+    }
+    this.leechEl.removeClass("sr-is-hidden");
+    if (hidden) {
+      this.leechEl.createSpan({ cls: "sr-badge sr-bg-grey", text: "Hidden from Leeches" });
+    }
+    if (reasons.length > 0) {
+      const badge = this.leechEl.createSpan({ cls: "sr-badge sr-bg-red", text: "Leech" });
+      badge.setAttr("aria-label", reasons.join(", "));
+      this.leechEl.createSpan({ cls: "sr-leech-reasons", text: reasons.join(" · ") });
+    }
+    const actions = this.leechEl.createDiv("sr-leech-actions");
+    const action = (text, onClick) => {
+      const button = actions.createEl("button", { cls: "sr-button", text });
+      button.onclick = async () => {
+        try {
+          await onClick();
+        } catch (err) {
+          new Notice(err.message);
+        }
+      };
+    };
+    action(hidden ? "Show in Leeches deck" : "Hide from Leeches deck", async () => {
+      await this.plugin.setLeechHidden(card, !hidden);
+      this.plugin.redrawViews();
+      this.renderLeechInfo(card);
+    });
+    if (!reasons.includes(`tagged ${this.plugin.explorerSettings.leechTag}`)) {
+      action(`Tag ${this.plugin.explorerSettings.leechTag}`, () => this.plugin.tagCardAsLeech(card));
+    }
+    action("Rewrite", () => this.startEditing());
   }
 
   toggleAnswer() {
@@ -593,291 +3084,2417 @@ class SpacedRepetitionExplorerView extends ItemView {
     const card = this.filteredCards[this.currentIndex];
     if (this.mode === "front") {
       this.mode = "back";
-      const wrapper = new RenderMarkdownWrapper(
-        this.app,
-        this.plugin,
-        card.filePath
-      );
-      this.backEl.empty();
-      wrapper.renderMarkdownWrapper(card.back, this.backEl, null);
+      this.renderCardSide(card, "back", this.backEl);
       this.backEl.removeClass("sr-is-hidden");
       this.separatorEl.removeClass("sr-is-hidden");
       this.answerButton.addClass("sr-bg-green");
       this.answerButton.setText("Hide answer (Space)");
+      if (this.session) {
+        this.sessionButtonsEl.removeClass("sr-is-hidden");
+      } else {
+        this.updateGradeButtons(card);
+        this.gradeButtonsEl.removeClass("sr-is-hidden");
+      }
     } else {
       this.renderActiveCard();
     }
   }
 
+  updateGradeButtons(card) {
+    for (const [response, { button, label }] of Object.entries(this.gradeButtons)) {
+      const next = computeNextSchedule(card, response, this.plugin.srSettings, false);
+      button.setText(`${label} · ${formatInterval(next.interval)}`);
+    }
+  }
+
+  async gradeActiveCard(response) {
+    if (this.grading || !this.filteredCards || this.filteredCards.length === 0) return;
+    const card = this.filteredCards[this.currentIndex];
+    this.grading = true;
+    try {
+      const next = await this.plugin.gradeCard(card, response);
+      new Notice(`Next review in ${formatInterval(next.interval)} (${next.due})`);
+      this.shiftCard(1);
+    } catch (err) {
+      console.error("[Spaced Repetition Explorer] Could not save review.", err);
+      new Notice(`Could not save review: ${err.message}`);
+    } finally {
+      this.grading = false;
+    }
+  }
+
   shiftCard(delta) {
+    if (this.editing) this.stopEditing();
     const total = this.filteredCards.length;
     if (total === 0) return;
-    this.currentIndex = (this.currentIndex + delta + total) % total;
+    // Sessions run front to back instead of wrapping around.
+    if (this.session) {
+      const next = this.currentIndex + delta;
+      if (next < 0 || next >= total || this.session.finished) return;
+      this.currentIndex = next;
+    } else {
+      this.currentIndex = (this.currentIndex + delta + total) % total;
+    }
     this.renderActiveCard();
   }
-}
 
-// --- Parsing helpers ---
-class ParsedQuestion {
-  constructor(type, rawText, firstLine, lastLine) {
-    this.type = type;
-    this.rawText = rawText;
-    this.firstLine = firstLine;
-    this.lastLine = lastLine;
+  startSession(name, cards, options) {
+    this.stopSession();
+    const keys = cards.map(cardKey);
+    const session = {
+      name,
+      options,
+      keys,
+      results: new Map(),
+      startedAt: Date.now(),
+      endsAt: options.minutes > 0 ? Date.now() + options.minutes * 60 * 1000 : null,
+      finished: false,
+    };
+    // Re-resolve from the live index so edits made during the session show up.
+    session.deck = new VirtualDeck(name, () => {
+      const byKey = new Map((this.cards || []).map((card) => [cardKey(card), card]));
+      return session.keys.map((key) => byKey.get(key)).filter(Boolean);
+    });
+    this.session = session;
+    this.setViewMode("card");
+    this.tableButton.disabled = true;
+    this.sortButton.disabled = true;
+    if (session.endsAt) {
+      session.timer = window.setInterval(() => this.updateSessionBar(), 1000);
+      this.registerInterval(session.timer);
+    }
+    this.showDeck(session.deck);
   }
-}
 
-const QuestionType = {
-  SingleLineBasic: 0,
-  SingleLineReversed: 1,
-  MultiLineBasic: 2,
-  MultiLineReversed: 3,
-  Cloze: 4,
-};
+  stopSession() {
+    if (!this.session) return;
+    if (this.session.timer) window.clearInterval(this.session.timer);
+    this.session = null;
+    this.tableButton.disabled = false;
+    this.sortButton.disabled = false;
+    this.sessionBarEl.addClass("sr-is-hidden");
+    this.sessionButtonsEl.addClass("sr-is-hidden");
+    this.sessionSummaryEl.addClass("sr-is-hidden");
+    this.content.removeClass("sr-is-hidden");
+    this.response.removeClass("sr-is-hidden");
+  }
 
-function parseQuestions(text, settings) {
-  const inlineSeparators = [
-    { separator: settings.singleLineCardSeparator, type: QuestionType.SingleLineBasic },
-    { separator: settings.singleLineReversedCardSeparator, type: QuestionType.SingleLineReversed },
-  ].sort((a, b) => b.separator.length - a.separator.length);
-  const cards = [];
-  let cardText = "";
-  let cardType = null;
-  let firstLineNo = 0;
-  const lines = text.replaceAll("\r\n", "\n").split("\n");
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-    if (line.startsWith("<!--") && !line.startsWith("<!--SR:")) {
-      while (i + 1 < lines.length && !line.includes("-->")) i++;
-      i++;
-      continue;
-    }
-    const isEmpty = trimmed.length === 0;
-    const hasEndMarker =
-      settings.multilineCardEndMarker &&
-      trimmed === settings.multilineCardEndMarker;
-    if ((isEmpty && !settings.multilineCardEndMarker) || (isEmpty && cardType === null) || hasEndMarker) {
-      if (cardType !== null) {
-        cards.push(
-          new ParsedQuestion(
-            cardType,
-            cardText.trimEnd(),
-            firstLineNo,
-            i - 1
-          )
-        );
-        cardType = null;
+  updateSessionBar() {
+    const session = this.session;
+    this.sessionBarEl.toggleClass("sr-is-hidden", !session || session.finished);
+    if (!session || session.finished) return;
+    this.sessionProgressEl.max = session.keys.length;
+    this.sessionProgressEl.value = session.results.size;
+    const parts = [`${session.results.size}/${session.keys.length} done`];
+    if (session.endsAt) {
+      const left = session.endsAt - Date.now();
+      if (left <= 0) {
+        this.finishSession("Time's up");
+        return;
       }
+      parts.push(`${formatDuration(left)} left`);
+    }
+    this.sessionTimerEl.setText(parts.join(" · "));
+  }
+
+  markSessionCard(knew) {
+    const session = this.session;
+    const card = this.getActiveCard();
+    if (!session || session.finished || !card) return;
+    session.results.set(cardKey(card), knew);
+    // Continue with the next card that has no answer yet, looking past skipped ones.
+    const order = this.filteredCards.map(cardKey);
+    const pending = (idx) => !session.results.has(order[idx]);
+    let next = order.findIndex((key, idx) => idx > this.currentIndex && pending(idx));
+    if (next === -1) next = order.findIndex((key, idx) => pending(idx));
+    if (next === -1) {
+      this.finishSession("Session complete");
+      return;
+    }
+    this.currentIndex = next;
+    this.renderActiveCard();
+  }
+
+  finishSession(title) {
+    const session = this.session;
+    if (!session || session.finished) return;
+    session.finished = true;
+    if (session.timer) window.clearInterval(session.timer);
+    if (this.editing) this.stopEditing();
+    const cards = session.deck.getAllCards();
+    const missed = cards.filter((card) => session.results.get(cardKey(card)) === false);
+    const knew = cards.filter((card) => session.results.get(cardKey(card)) === true).length;
+    const unanswered = cards.length - knew - missed.length;
+
+    this.content.addClass("sr-is-hidden");
+    this.response.addClass("sr-is-hidden");
+    this.sessionBarEl.addClass("sr-is-hidden");
+    this.deckCountEl.setText(`${session.results.size}/${cards.length}`);
+    const summary = this.sessionSummaryEl;
+    summary.empty();
+    summary.removeClass("sr-is-hidden");
+    summary.createEl("h3", { text: title });
+    const counts = summary.createDiv("sr-session-counts");
+    const stats = [
+      { text: `${knew} knew`, cls: "sr-bg-green" },
+      { text: `${missed.length} missed`, cls: "sr-bg-red" },
+      { text: `${unanswered} not reached`, cls: "sr-bg-grey" },
+      { text: formatDuration(Date.now() - session.startedAt), cls: "sr-bg-blue" },
+    ];
+    for (const { text, cls } of stats) {
+      counts.createDiv({ cls: `tag-pane-tag-count tree-item-flair sr-header-stats-count ${cls}`, text });
+    }
+    if (missed.length > 0) {
+      summary.createDiv({ cls: "sr-session-missed-title", text: "Missed cards" });
+      const list = summary.createEl("ul", { cls: "sr-session-missed" });
+      for (const card of missed) {
+        const item = list.createEl("li", { cls: "is-clickable", text: truncateText(toPlainText(card.front), 100) });
+        item.setAttr("aria-label", `${card.deck} · ${card.filePath}:${card.line}`);
+        item.onclick = () => this.plugin.openCardInNote(card).catch((err) => new Notice(err.message));
+      }
+    }
+    const actions = summary.createDiv("sr-session-actions");
+    if (missed.length > 0) {
+      const again = actions.createEl("button", { cls: "mod-cta", text: `Study missed cards (${missed.length})` });
+      again.onclick = () =>
+        this.startSession(`${session.name} · missed`, missed, { ...session.options, limit: missed.length });
+    }
+    const done = actions.createEl("button", { text: "Back to decks" });
+    done.onclick = () => this.showDecks();
+  }
+}
+
+class SpacedRepetitionStatsView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+    this.deckPath = "";
+    this.forecastDays = 30;
+  }
+
+  getViewType() {
+    return STATS_VIEW_TYPE;
+  }
+
+  getDisplayText() {
+    return "Flashcard statistics";
+  }
+
+  getIcon() {
+    return "bar-chart-2";
+  }
+
+  getState() {
+    return { ...super.getState(), deckPath: this.deckPath };
+  }
+
+  async setState(state, result) {
+    this.deckPath = state?.deckPath ?? "";
+    await super.setState(state, result);
+    if (this.plugin.cachedCards) this.render();
+  }
+
+  async onOpen() {
+    this.contentEl.empty();
+    this.contentEl.addClass("sr-stats-view");
+    await this.plugin.collectCards();
+    this.render();
+  }
+
+  onIndexChanged() {
+    this.render();
+  }
+
+  render() {
+    const index = this.plugin.cachedCards;
+    if (!index) return;
+    this.contentEl.empty();
+    const deckNode = index.deckTree.findByPath(this.deckPath) || index.deckTree;
+    const deckLabel = deckNode.isRoot ? "All decks" : deckNode.path;
+    const cards = deckNode.getAllCards();
+
+    const header = this.contentEl.createDiv("sr-stats-header");
+    const deckSelect = header.createEl("select", { cls: "sr-sort-select" });
+    deckSelect.createEl("option", { value: "", text: "All decks" });
+    for (const path of collectDeckPaths(index.deckTree)) {
+      deckSelect.createEl("option", { value: path, text: path });
+    }
+    deckSelect.value = deckNode.path;
+    deckSelect.onchange = () => {
+      this.deckPath = deckSelect.value;
+      this.app.workspace.requestSaveLayout();
+      this.render();
+    };
+    header.createDiv({ cls: "sr-stats-summary", text: `${cards.length} cards` });
+
+    const open = (title) => (bar) =>
+      this.plugin.openCardsInExplorer(`${deckLabel} · ${title}: ${bar.label}`, bar.cards);
+
+    renderBarChart(this.contentEl, "Ease distribution", buildEaseHistogram(cards), open("Ease"));
+    renderBarChart(this.contentEl, "Interval distribution", buildIntervalHistogram(cards), open("Interval"));
+
+    const forecastEl = renderBarChart(
+      this.contentEl,
+      `Due forecast (${this.forecastDays} days)`,
+      buildDueForecast(cards, this.forecastDays),
+      open("Due")
+    );
+    const rangeEl = forecastEl.createDiv("sr-stats-range");
+    for (const days of [30, 90, 365]) {
+      const button = rangeEl.createEl("button", { cls: "sr-button", text: `${days}d` });
+      if (days === this.forecastDays) button.addClass("mod-cta");
+      button.onclick = () => {
+        this.forecastDays = days;
+        this.render();
+      };
+    }
+
+    renderBarChart(this.contentEl, "Cards by type", buildTypeCounts(cards), open("Type"));
+  }
+}
+
+class SpacedRepetitionLintView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+  }
+
+  getViewType() {
+    return LINT_VIEW_TYPE;
+  }
+
+  getDisplayText() {
+    return "Flashcard check";
+  }
+
+  getIcon() {
+    return "stethoscope";
+  }
+
+  async onOpen() {
+    this.contentEl.addClass("sr-lint-view");
+    this.render();
+  }
+
+  render() {
+    const { contentEl } = this;
+    contentEl.empty();
+    const header = contentEl.createDiv("sr-lint-header");
+    const report = this.plugin.lintReport;
+    header.createDiv({
+      cls: "sr-lint-summary",
+      text: report
+        ? `${report.issueCount} issues in ${report.files.length} notes · checked ${report.checkedAt.toLocaleTimeString()}`
+        : "No check has run yet.",
+    });
+    const rerun = header.createEl("button", { cls: "sr-button", text: "Check again" });
+    rerun.onclick = () => this.plugin.runLinter();
+    if (!report) return;
+
+    for (const { path, issues } of report.files) {
+      const section = contentEl.createDiv("sr-lint-file");
+      section.createEl("h4", { text: path });
+      for (const issue of issues) {
+        const row = section.createDiv("sr-lint-issue is-clickable");
+        row.createSpan({ cls: `sr-lint-severity sr-lint-${issue.severity}`, text: issue.severity });
+        row.createSpan({ cls: "sr-lint-line", text: `L${issue.line}` });
+        row.createSpan({ cls: "sr-lint-message", text: issue.message });
+        row.onclick = (e2) =>
+          this.plugin
+            .openCardInNote({ filePath: path, line: issue.line, endLine: issue.endLine }, e2.ctrlKey || e2.metaKey)
+            .catch((err) => new Notice(err.message));
+      }
+    }
+  }
+}
+
+class SpacedRepetitionDuplicatesView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+    // Copy chosen to keep per group, by card key; the others are marked for cleanup.
+    this.kept = new Map();
+  }
+
+  getViewType() {
+    return DUPLICATES_VIEW_TYPE;
+  }
+
+  getDisplayText() {
+    return "Duplicate flashcards";
+  }
+
+  getIcon() {
+    return "copy";
+  }
+
+  async onOpen() {
+    this.contentEl.addClass("sr-duplicates-view");
+    this.render();
+  }
+
+  render() {
+    const { contentEl } = this;
+    contentEl.empty();
+    const report = this.plugin.duplicateReport;
+    const header = contentEl.createDiv("sr-lint-header");
+    header.createDiv({
+      cls: "sr-lint-summary",
+      text: report
+        ? `${report.groups.length} groups at similarity ≥ ${report.threshold} · checked ${report.checkedAt.toLocaleTimeString()}`
+        : "No search has run yet.",
+    });
+    const rerun = header.createEl("button", { cls: "sr-button", text: "Search again" });
+    rerun.onclick = () => this.plugin.findDuplicates();
+    if (!report) return;
+
+    report.groups.forEach((group, groupIdx) => {
+      const section = contentEl.createDiv("sr-duplicate-group");
+      const title = section.createDiv("sr-duplicate-group-title");
+      title.setText(
+        group.exact ? `Exact duplicates (${group.cards.length})` : `Similar (${Math.round(group.similarity * 100)}%, ${group.cards.length} cards)`
+      );
+      const browse = title.createEl("button", { cls: "sr-button", text: "Browse" });
+      browse.onclick = () =>
+        this.plugin.openCardsInExplorer(`Duplicates #${groupIdx + 1}`, group.cards);
+      const row = section.createDiv("sr-duplicate-cards");
+      const keptKey = this.kept.get(groupIdx);
+      for (const card of group.cards) {
+        const key = cardKey(card);
+        const column = row.createDiv("sr-duplicate-card");
+        if (keptKey) column.addClass(keptKey === key ? "is-kept" : "is-redundant");
+        column.createDiv({ cls: "sr-duplicate-front", text: truncateText(toPlainText(card.front), 200) });
+        column.createDiv({ cls: "sr-duplicate-back", text: truncateText(toPlainText(card.back), 120) });
+        const meta = column.createDiv("sr-duplicate-meta");
+        meta.createDiv({ text: `Deck: ${card.deck}` });
+        meta.createDiv({ text: `File: ${card.filePath}:${card.line}` });
+        meta.createDiv({ text: `Ease ${card.due ? card.ease : "new"} · Due ${card.due || "n/a"}` });
+        const actions = column.createDiv("sr-leech-actions");
+        const keep = actions.createEl("button", { cls: "sr-button", text: keptKey === key ? "Kept" : "Keep this" });
+        keep.onclick = () => {
+          if (keptKey === key) this.kept.delete(groupIdx);
+          else this.kept.set(groupIdx, key);
+          this.render();
+        };
+        const open = actions.createEl("button", { cls: "sr-button", text: "Open" });
+        open.onclick = (e2) =>
+          this.plugin.openCardInNote(card, e2.ctrlKey || e2.metaKey).catch((err) => new Notice(err.message));
+      }
+    });
+  }
+}
+
+// Live card list for ```sr-explorer``` blocks; re-rendered by the plugin whenever the index changes.
+class ExplorerCodeBlock extends MarkdownRenderChild {
+  constructor(containerEl, plugin, source, sourcePath) {
+    super(containerEl);
+    this.plugin = plugin;
+    this.source = source;
+    this.sourcePath = sourcePath;
+    this.carouselIndex = 0;
+    this.renderId = 0;
+  }
+
+  onload() {
+    this.plugin.embeddedBlocks.add(this);
+    this.render();
+  }
+
+  onunload() {
+    this.plugin.embeddedBlocks.delete(this);
+  }
+
+  async render() {
+    const el = this.containerEl;
+    const renderId = ++this.renderId;
+    let options;
+    let cards;
+    try {
+      options = parseCodeBlockOptions(this.source);
+      const { cards: allCards, deckTree } = await this.plugin.collectCards();
+      const deckNode = options.deck ? deckTree.findByPath(options.deck) : deckTree;
+      if (!deckNode) throw new Error(`Deck "${options.deck}" not found.`);
+      cards = deckNode.isRoot ? allCards : deckNode.getAllCards();
+      if (options.filter) {
+        const matcher = compileSearchQuery(options.filter, Date.now(), this.plugin.getSearchContext());
+        cards = cards.filter((card) => matcher(card));
+      }
+      cards = sortCardsBy(cards, options.sort, this.plugin.getSortContext()).slice(0, options.limit);
+    } catch (err) {
+      if (renderId !== this.renderId) return;
+      el.empty();
+      el.createDiv({ cls: "sr-embed-error", text: `sr-explorer: ${err.message}` });
+      return;
+    }
+    // A newer render started while the index was loading.
+    if (renderId !== this.renderId) return;
+    el.empty();
+    el.addClass("sr-embed");
+    // Markdown children of the previous render are freed now, the rest when the note closes.
+    if (this.renderComponent) this.removeChild(this.renderComponent);
+    this.renderComponent = this.addChild(new Component());
+    if (cards.length === 0) {
+      el.createDiv({ cls: "sr-embed-empty", text: "No matching flashcards." });
+      return;
+    }
+    if (options.view === "carousel") {
+      this.renderCarousel(cards);
+    } else {
+      this.renderTable(cards);
+    }
+  }
+
+  renderTable(cards) {
+    const table = this.containerEl.createEl("table", { cls: "sr-embed-table" });
+    const head = table.createEl("thead").createEl("tr");
+    for (const label of ["Front", "Deck", "Ease", "Due", ""]) {
+      head.createEl("th", { text: label });
+    }
+    const body = table.createEl("tbody");
+    for (const card of cards) {
+      const row = body.createEl("tr");
+      const frontCell = row.createEl("td", { cls: "sr-embed-front" });
+      new RenderMarkdownWrapper(this.plugin.app, this.plugin, card.filePath, this.renderComponent).renderMarkdownWrapper(
+        card.front,
+        frontCell,
+        null
+      );
+      row.createEl("td", { text: card.deck });
+      row.createEl("td", { text: card.due ? String(card.ease) : "new" });
+      row.createEl("td", { text: card.due || "–" });
+      const open = row.createEl("td").createEl("a", { cls: "sr-embed-open", text: "Open" });
+      open.onclick = (e2) => {
+        e2.preventDefault();
+        this.plugin.openCardInNote(card, e2.ctrlKey || e2.metaKey).catch((err) => new Notice(err.message));
+      };
+    }
+  }
+
+  // One card at a time; click the card to flip it, arrows to move.
+  renderCarousel(cards) {
+    this.carouselIndex = Math.min(this.carouselIndex, cards.length - 1);
+    const card = cards[this.carouselIndex];
+    const wrapper = new RenderMarkdownWrapper(this.plugin.app, this.plugin, card.filePath, this.renderComponent);
+    const frame = this.containerEl.createDiv("sr-embed-carousel");
+    const face = frame.createDiv("sr-embed-card is-clickable");
+    let showingBack = false;
+    const renderFace = () => {
+      face.empty();
+      face.toggleClass("is-flipped", showingBack);
+      wrapper.renderMarkdownWrapper(showingBack ? card.back : card.front, face, null);
+    };
+    face.onclick = () => {
+      showingBack = !showingBack;
+      renderFace();
+    };
+    renderFace();
+    const nav = frame.createDiv("sr-embed-nav");
+    const move = (delta) => {
+      this.carouselIndex = (this.carouselIndex + delta + cards.length) % cards.length;
+      this.render();
+    };
+    const prev = nav.createEl("button", { cls: "sr-button" });
+    setIcon(prev, "chevron-left");
+    prev.onclick = () => move(-1);
+    nav.createSpan({
+      cls: "sr-embed-counter",
+      text: `${this.carouselIndex + 1}/${cards.length} · ${card.deck} · ${card.due ? `ease ${card.ease}` : "new"}`,
+    });
+    const next = nav.createEl("button", { cls: "sr-button" });
+    setIcon(next, "chevron-right");
+    next.onclick = () => move(1);
+  }
+}
+
+class BulkScheduleModal extends Modal {
+  constructor(app, plugin, name, cards) {
+    super(app);
+    this.plugin = plugin;
+    this.name = name;
+    this.cards = cards;
+    this.options = { operation: "postpone", value: 1 };
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: `Change schedules: ${this.name}` });
+    contentEl.createDiv({ cls: "setting-item-description", text: `${this.cards.length} cards` });
+
+    new Setting(contentEl).setName("Operation").addDropdown((dropdown) => {
+      for (const { value, label } of BULK_OPERATIONS) {
+        dropdown.addOption(value, label);
+      }
+      dropdown.setValue(this.options.operation);
+      dropdown.onChange((value) => {
+        this.options.operation = value;
+        this.updateValueSetting();
+        this.clearPreview();
+      });
+    });
+
+    this.valueSetting = new Setting(contentEl).addText((text) => {
+      this.valueInput = text;
+      text.inputEl.type = "number";
+      text.onChange((value) => {
+        this.options.value = Number(value);
+        this.clearPreview();
+      });
+    });
+    this.updateValueSetting();
+
+    new Setting(contentEl)
+      .addButton((button) => button.setButtonText("Preview").onClick(() => this.preview()))
+      .addButton((button) => {
+        this.applyButton = button;
+        button
+          .setButtonText("Apply")
+          .setCta()
+          .setDisabled(true)
+          .onClick(() => this.apply());
+      });
+
+    this.previewEl = contentEl.createDiv("sr-bulk-preview");
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+
+  updateValueSetting() {
+    const { operation } = this.options;
+    this.valueSetting.settingEl.toggleClass("sr-is-hidden", operation === "reset");
+    if (operation === "ease") {
+      this.valueSetting.setName("Ease").setDesc(`At least ${MIN_EASE}.`);
+      this.options.value = this.plugin.srSettings.baseEase;
+    } else {
+      this.valueSetting.setName("Days").setDesc("");
+      this.options.value = operation === "spread" ? 7 : 1;
+    }
+    this.valueInput.setValue(String(this.options.value));
+  }
+
+  getPlan() {
+    const { operation, value } = this.options;
+    if (operation === "ease" && !(value >= MIN_EASE)) throw new Error(`Ease must be at least ${MIN_EASE}.`);
+    if ((operation === "postpone" || operation === "spread") && !(Number.isInteger(value) && value > 0)) {
+      throw new Error("Days must be a positive whole number.");
+    }
+    return planBulkSchedule(this.cards, operation, value);
+  }
+
+  clearPreview() {
+    this.plan = null;
+    this.previewEl?.empty();
+    this.applyButton?.setDisabled(true);
+  }
+
+  async preview() {
+    this.clearPreview();
+    let plan;
+    try {
+      plan = this.getPlan();
+    } catch (err) {
+      this.previewEl.createDiv({ cls: "sr-search-error", text: err.message });
+      return;
+    }
+    if (plan.length === 0) {
+      this.previewEl.setText("No card would change.");
+      return;
+    }
+    const files = await this.plugin.previewBulkSchedule(plan);
+    const ok = files.filter((file) => !file.error);
+    this.previewEl.createDiv({
+      cls: "sr-bulk-summary",
+      text: `${plan.length} cards in ${files.length} notes will change.`,
+    });
+    for (const file of files) {
+      const fileEl = this.previewEl.createDiv("sr-bulk-file");
+      fileEl.createDiv({ cls: "sr-bulk-file-path", text: `${file.path} (${file.updates.length})` });
+      if (file.error) {
+        fileEl.createDiv({ cls: "sr-search-error", text: `Skipped: ${file.error}` });
+        continue;
+      }
+      const list = fileEl.createEl("ul");
+      for (const { card, next } of file.updates) {
+        const before = card.due ? `${card.due}, ease ${card.ease}` : "new";
+        const after = next ? `${next.due}, ease ${next.ease}` : "new";
+        list.createEl("li", { text: `${truncateText(toPlainText(card.front), 60)}: ${before} → ${after}` });
+      }
+    }
+    this.plan = plan.filter(({ card }) => ok.some((file) => file.path === card.filePath));
+    this.applyButton.setDisabled(this.plan.length === 0);
+  }
+
+  async apply() {
+    if (!this.plan) return;
+    this.applyButton.setDisabled(true);
+    const label = `${BULK_OPERATIONS.find((op) => op.value === this.options.operation).label} (${this.name})`;
+    const { changed, failed } = await this.plugin.applyBulkSchedule(label, this.plan);
+    this.close();
+    const notice = new Notice(
+      `Changed schedules in ${changed} notes.` + (failed.length > 0 ? ` Failed: ${failed.join(", ")}` : ""),
+      10000
+    );
+    if (changed > 0) {
+      const undo = notice.noticeEl.createEl("button", { cls: "sr-notice-undo", text: "Undo" });
+      undo.onclick = () => {
+        notice.hide();
+        this.plugin.undoBulkSchedule();
+      };
+    }
+  }
+}
+
+class StudySessionModal extends Modal {
+  constructor(app, plugin, deckPath) {
+    super(app);
+    this.plugin = plugin;
+    const view = plugin.getExplorerView();
+    this.viewCards = view?.activeDeck && !view.session ? view.filteredCards.slice() : [];
+    this.viewName = view?.activeDeck?.name || "";
+    this.options = {
+      source: deckPath ? `deck:${deckPath}` : "deck:",
+      query: "",
+      limit: 20,
+      order: "ease",
+      minutes: 0,
+    };
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: "Study session" });
+    const { deckTree } = this.plugin.cachedCards;
+
+    new Setting(contentEl).setName("Cards").addDropdown((dropdown) => {
+      dropdown.addOption("deck:", `All decks (${deckTree.getTotalCount()})`);
+      for (const path of collectDeckPaths(deckTree)) {
+        dropdown.addOption(`deck:${path}`, `${path} (${deckTree.findByPath(path).getTotalCount()})`);
+      }
+      if (this.viewCards.length > 0) {
+        dropdown.addOption("view", `Current explorer cards (${this.viewCards.length})`);
+      }
+      dropdown.setValue(this.options.source);
+      dropdown.onChange((value) => (this.options.source = value));
+    });
+
+    new Setting(contentEl)
+      .setName("Filter")
+      .setDesc("Optional search query, e.g. is:due or ease<200.")
+      .addText((text) => text.onChange((value) => (this.options.query = value)));
+
+    new Setting(contentEl).setName("Card limit").addText((text) => {
+      text.inputEl.type = "number";
+      text.setValue(String(this.options.limit));
+      text.onChange((value) => (this.options.limit = parseInt(value)));
+    });
+
+    new Setting(contentEl).setName("Order").addDropdown((dropdown) => {
+      for (const { value, label } of SESSION_ORDERS) {
+        dropdown.addOption(value, label);
+      }
+      dropdown.setValue(this.options.order);
+      dropdown.onChange((value) => (this.options.order = value));
+    });
+
+    new Setting(contentEl)
+      .setName("Time box (minutes)")
+      .setDesc("End the session after this long; 0 for no limit.")
+      .addText((text) => {
+        text.inputEl.type = "number";
+        text.setValue(String(this.options.minutes));
+        text.onChange((value) => (this.options.minutes = Number(value) || 0));
+      });
+
+    new Setting(contentEl).addButton((button) =>
+      button
+        .setButtonText("Start")
+        .setCta()
+        .onClick(async () => {
+          let cards;
+          try {
+            cards = this.getCards();
+          } catch (err) {
+            new Notice(err.message);
+            return;
+          }
+          if (cards.length === 0) {
+            new Notice("No cards match this session.");
+            return;
+          }
+          this.close();
+          await this.plugin.startStudySession(this.getName(), cards, this.options);
+        })
+    );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+
+  getName() {
+    if (this.options.source === "view") return this.viewName;
+    return this.options.source.slice("deck:".length) || "All decks";
+  }
+
+  getCards() {
+    const { source, query, order } = this.options;
+    const limit = this.options.limit > 0 ? this.options.limit : Infinity;
+    let cards;
+    if (source === "view") {
+      cards = this.viewCards;
+    } else {
+      const node = this.plugin.cachedCards.deckTree.findByPath(source.slice("deck:".length));
+      cards = node ? node.getAllCards() : [];
+    }
+    if (query.trim()) {
+      const matcher = compileSearchQuery(query, Date.now(), this.plugin.getSearchContext());
+      cards = cards.filter((card) => matcher(card));
+    }
+    return orderSessionCards(cards, order).slice(0, limit);
+  }
+}
+
+class ExportModal extends Modal {
+  constructor(app, plugin, deckPath) {
+    super(app);
+    this.plugin = plugin;
+    const view = plugin.getExplorerView();
+    this.viewCards = view?.activeDeck ? view.filteredCards.slice() : [];
+    this.selectedCards = view?.activeDeck ? view.getSelectedCards() : [];
+    this.options = {
+      source: deckPath ? `deck:${deckPath}` : "deck:",
+      format: "csv",
+      markdown: "markdown",
+      images: "keep",
+      cloze: "cards",
+      path: "",
+    };
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: "Export flashcards" });
+    const { deckTree } = this.plugin.cachedCards;
+
+    new Setting(contentEl).setName("Cards").addDropdown((dropdown) => {
+      dropdown.addOption("deck:", `All decks (${deckTree.getTotalCount()})`);
+      for (const path of collectDeckPaths(deckTree)) {
+        dropdown.addOption(`deck:${path}`, `${path} (${deckTree.findByPath(path).getTotalCount()})`);
+      }
+      if (this.viewCards.length > 0) {
+        dropdown.addOption("view", `Current explorer cards (${this.viewCards.length})`);
+      }
+      if (this.selectedCards.length > 0) {
+        dropdown.addOption("selection", `Selected table rows (${this.selectedCards.length})`);
+      }
+      dropdown.setValue(this.options.source);
+      dropdown.onChange((value) => {
+        this.options.source = value;
+        this.updatePath();
+      });
+    });
+
+    new Setting(contentEl).setName("Format").addDropdown((dropdown) => {
+      dropdown.addOption("csv", "CSV");
+      dropdown.addOption("anki", "Anki (tab-separated, with deck and tags)");
+      dropdown.addOption("json", "JSON (with schedule and source)");
+      dropdown.setValue(this.options.format);
+      dropdown.onChange((value) => {
+        this.options.format = value;
+        this.updatePath();
+      });
+    });
+
+    new Setting(contentEl)
+      .setName("Markdown")
+      .setDesc("How card text is written to the export.")
+      .addDropdown((dropdown) => {
+        dropdown.addOption("markdown", "Keep markdown");
+        dropdown.addOption("plain", "Plain text");
+        dropdown.addOption("html", "Rendered HTML");
+        dropdown.setValue(this.options.markdown);
+        dropdown.onChange((value) => (this.options.markdown = value));
+      });
+
+    new Setting(contentEl).setName("Images").addDropdown((dropdown) => {
+      dropdown.addOption("keep", "Keep embeds as written");
+      dropdown.addOption("filename", "Reference by file name (Anki media)");
+      dropdown.addOption("remove", "Remove");
+      dropdown.setValue(this.options.images);
+      dropdown.onChange((value) => (this.options.images = value));
+    });
+
+    new Setting(contentEl).setName("Clozes").addDropdown((dropdown) => {
+      dropdown.addOption("cards", "One row per card, with [...] placeholders");
+      dropdown.addOption("anki", "One row per note in Anki {{c1::...}} syntax");
+      dropdown.setValue(this.options.cloze);
+      dropdown.onChange((value) => (this.options.cloze = value));
+    });
+
+    new Setting(contentEl).setName("File").addText((text) => {
+      this.pathInput = text;
+      text.onChange((value) => {
+        this.options.path = value;
+        this.pathEdited = true;
+      });
+    });
+    this.updatePath();
+
+    new Setting(contentEl).addButton((button) =>
+      button
+        .setButtonText("Export")
+        .setCta()
+        .onClick(async () => {
+          button.setDisabled(true);
+          try {
+            const cards = this.getCards();
+            const file = await this.plugin.exportCards(cards, this.options);
+            new Notice(`Exported ${cards.length} cards to ${file.path}`);
+            this.close();
+          } catch (err) {
+            console.error("[Spaced Repetition Explorer] Export failed.", err);
+            new Notice(`Export failed: ${err.message}`);
+            button.setDisabled(false);
+          }
+        })
+    );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+
+  getCards() {
+    if (this.options.source === "view") return this.viewCards;
+    if (this.options.source === "selection") return this.selectedCards;
+    const node = this.plugin.cachedCards.deckTree.findByPath(this.options.source.slice("deck:".length));
+    return node ? node.getAllCards() : [];
+  }
+
+  updatePath() {
+    if (this.pathEdited || !this.pathInput) return;
+    const { source, format } = this.options;
+    const base = source.startsWith("deck:") && source.length > 5
+      ? source.slice(5).replaceAll("/", "-")
+      : source === "deck:" ? "all-decks" : "explorer-cards";
+    const ext = EXPORT_EXTENSIONS[format];
+    this.options.path = `${base}-flashcards.${ext}`;
+    this.pathInput.setValue(this.options.path);
+  }
+}
+
+// --- Context helpers ---
+// Text of the headings enclosing `line` (0-based), outermost first.
+function headingPath(headings, line) {
+  const path = [];
+  for (const heading of headings) {
+    if (heading.position.start.line >= line) break;
+    while (path.length > 0 && path[path.length - 1].level >= heading.level) path.pop();
+    path.push(heading);
+  }
+  return path.map((heading) => heading.heading);
+}
+
+// The block of text just above `line`, without SR comments. Headings are already in the breadcrumb.
+function paragraphBefore(lines, line, firstLine = 0) {
+  let end = line - 1;
+  while (end >= firstLine && lines[end].trim() === "") end--;
+  if (end < firstLine || /^#{1,6}\s/.test(lines[end])) return null;
+  let start = end;
+  while (start > firstLine && lines[start - 1].trim() !== "" && !/^#{1,6}\s/.test(lines[start - 1])) start--;
+  const paragraph = stripScheduleComment(lines.slice(start, end + 1).join("\n")).trim();
+  return paragraph || null;
+}
+
+// --- Session helpers ---
+const SESSION_ORDERS = [
+  { value: "ease", label: "Lowest ease first" },
+  { value: "due", label: "Earliest due first" },
+  { value: "random", label: "Random" },
+  { value: "interleaved", label: "Interleaved across subdecks" },
+];
+
+function orderSessionCards(cards, order) {
+  if (order === "random") return shuffleCards(cards);
+  if (order !== "interleaved") return sortCardsBy(cards, order);
+  // Round-robin over decks, each deck in ease order, so neighbouring cards come from different decks.
+  const byDeck = new Map();
+  for (const card of sortCardsBy(cards, "ease")) {
+    if (!byDeck.has(card.deck)) byDeck.set(card.deck, []);
+    byDeck.get(card.deck).push(card);
+  }
+  const queues = Array.from(byDeck.values());
+  const result = [];
+  for (let round = 0; result.length < cards.length; round++) {
+    for (const queue of queues) {
+      if (round < queue.length) result.push(queue[round]);
+    }
+  }
+  return result;
+}
+
+function shuffleCards(cards) {
+  const result = cards.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
+
+// --- Table helpers ---
+const TABLE_ROW_HEIGHT = 28;
+const TABLE_ROW_BUFFER = 10;
+
+const TABLE_COLUMNS = [
+  { key: "front", label: "Front", display: (card) => truncateText(toPlainText(card.front), 120), value: (card) => toPlainText(card.front).toLowerCase() },
+  { key: "deck", label: "Deck", display: (card) => card.deck, value: (card) => card.deck.toLowerCase() },
+  { key: "ease", label: "Ease", display: (card) => (card.due ? String(card.ease) : "new"), value: (card) => (card.due ? card.ease : null) },
+  { key: "interval", label: "Interval", display: (card) => (card.interval !== null ? formatInterval(card.interval) : "–"), value: (card) => card.interval },
+  { key: "due", label: "Due", display: (card) => card.due || "–", value: (card) => (card.due ? parseDueDate(card.due) : null) },
+  { key: "file", label: "File", display: (card) => `${card.filePath}:${card.line}`, value: (card) => `${card.filePath}\u0000${String(card.line).padStart(8, "0")}` },
+];
+
+// Sort by a table column; cards without a value (new cards) always go last.
+function sortByTableColumn(cards, { key, dir }) {
+  const column = TABLE_COLUMNS.find((c) => c.key === key);
+  return cards.slice().sort((a, b) => {
+    const valueA = column.value(a);
+    const valueB = column.value(b);
+    if (valueA === null || valueB === null) {
+      if (valueA === valueB) return 0;
+      return valueA === null ? 1 : -1;
+    }
+    const cmp = typeof valueA === "number" ? valueA - valueB : valueA.localeCompare(valueB);
+    return cmp * dir;
+  });
+}
+
+// Rough markdown-to-text for previews and comparisons; not meant for rendering.
+function toPlainText(markdown) {
+  return markdown
+    .replace(/!\[\[[^\]]*\]\]/g, "")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+    .replace(/\[\[(?:[^\]|]*\|)?([^\]]*)\]\]/g, "$1")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/<[^>]+>/g, "")
+    .replace(/[*_=~`#>]+/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function truncateText(text, max) {
+  return text.length > max ? text.slice(0, max - 1) + "…" : text;
+}
+
+// --- Statistics helpers ---
+const QUESTION_TYPE_LABELS = {
+  0: "Single-line",
+  1: "Single-line reversed",
+  2: "Multi-line",
+  3: "Multi-line reversed",
+  4: "Cloze",
+};
+
+const INTERVAL_BUCKETS = [
+  { label: "1d", max: 1 },
+  { label: "2-3d", max: 3 },
+  { label: "4-7d", max: 7 },
+  { label: "1-2w", max: 14 },
+  { label: "2w-1mo", max: 30 },
+  { label: "1-3mo", max: 90 },
+  { label: "3-6mo", max: 180 },
+  { label: "6-12mo", max: 365 },
+  { label: ">1y", max: Infinity },
+];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_LABEL_HEIGHT = 36;
+
+// Reviewed cards in 20-point ease buckets from SR's minimum ease upwards.
+function buildEaseHistogram(cards) {
+  const reviewed = cards.filter((card) => card.due);
+  const bars = [];
+  for (let low = MIN_EASE; low < 330; low += 20) {
+    bars.push({ label: `${low}-${low + 19}`, cards: reviewed.filter((c) => c.ease >= low && c.ease < low + 20) });
+  }
+  bars.unshift({ label: `<${MIN_EASE}`, cards: reviewed.filter((c) => c.ease < MIN_EASE) });
+  bars.push({ label: "330+", cards: reviewed.filter((c) => c.ease >= 330) });
+  return bars;
+}
+
+function buildIntervalHistogram(cards) {
+  const bars = INTERVAL_BUCKETS.map(({ label }) => ({ label, cards: [] }));
+  for (const card of cards) {
+    if (card.interval === null) continue;
+    const idx = INTERVAL_BUCKETS.findIndex(({ max }) => card.interval <= max);
+    bars[idx].cards.push(card);
+  }
+  return bars;
+}
+
+// Overdue cards, then due cards per day (30d), week (90d) or month (365d).
+function buildDueForecast(cards, days, now = Date.now()) {
+  const today = Date.parse(formatDueDate(now));
+  const step = days <= 30 ? 1 : days <= 90 ? 7 : 30;
+  const bars = [{ label: "Overdue", cards: [] }];
+  for (let offset = 0; offset < days; offset += step) {
+    const label = step === 1 ? formatDueDate(today + offset * DAY_MS).slice(5) : `+${offset}d`;
+    bars.push({ label, cards: [] });
+  }
+  for (const card of cards) {
+    if (!card.due) continue;
+    const offset = Math.round((parseDueDate(card.due) - today) / DAY_MS);
+    if (offset < 0) bars[0].cards.push(card);
+    else if (offset < days) bars[1 + Math.floor(offset / step)].cards.push(card);
+  }
+  return bars;
+}
+
+function buildTypeCounts(cards) {
+  return Object.entries(QUESTION_TYPE_LABELS).map(([type, label]) => ({
+    label,
+    cards: cards.filter((card) => card.type === Number(type)),
+  }));
+}
+
+// Draw a titled bar chart as inline SVG; clicking a non-empty bar calls onClick(bar).
+function renderBarChart(containerEl, title, bars, onClick) {
+  const section = containerEl.createDiv("sr-stats-chart");
+  section.createEl("h4", { text: title });
+  const max = Math.max(1, ...bars.map((bar) => bar.cards.length));
+  const slot = CHART_WIDTH / bars.length;
+  const plotHeight = CHART_HEIGHT - CHART_LABEL_HEIGHT;
+  const svg = section.createSvg("svg", {
+    attr: { viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`, width: "100%", role: "img", "aria-label": title },
+  });
+  bars.forEach((bar, idx) => {
+    const count = bar.cards.length;
+    const height = Math.round(((plotHeight - 14) * count) / max);
+    const x = idx * slot + slot * 0.1;
+    const group = svg.createSvg("g", { cls: "sr-chart-bar-group" });
+    group.createSvg("title").textContent = `${bar.label}: ${count} card${count === 1 ? "" : "s"}`;
+    const rect = group.createSvg("rect", {
+      cls: count > 0 ? "sr-chart-bar is-clickable" : "sr-chart-bar",
+      attr: { x, y: plotHeight - height, width: slot * 0.8, height },
+    });
+    if (count > 0) {
+      group.createSvg("text", {
+        cls: "sr-chart-count",
+        attr: { x: x + slot * 0.4, y: plotHeight - height - 3, "text-anchor": "middle" },
+      }).textContent = String(count);
+      rect.addEventListener("click", () => onClick(bar));
+    }
+    group.createSvg("text", {
+      cls: "sr-chart-label",
+      attr: {
+        x: x + slot * 0.4,
+        y: plotHeight + 14,
+        "text-anchor": "end",
+        transform: `rotate(-30 ${x + slot * 0.4} ${plotHeight + 14})`,
+      },
+    }).textContent = bar.label;
+  });
+  return section;
+}
+
+// --- Parsing helpers ---
+class ParsedQuestion {
+  constructor(type, rawText, firstLine, lastLine) {
+    this.type = type;
+    this.rawText = rawText;
+    this.firstLine = firstLine;
+    this.lastLine = lastLine;
+  }
+}
+
+const QuestionType = {
+  SingleLineBasic: 0,
+  SingleLineReversed: 1,
+  MultiLineBasic: 2,
+  MultiLineReversed: 3,
+  Cloze: 4,
+};
+
+function parseQuestions(text, settings) {
+  const inlineSeparators = [
+    { separator: settings.singleLineCardSeparator, type: QuestionType.SingleLineBasic },
+    { separator: settings.singleLineReversedCardSeparator, type: QuestionType.SingleLineReversed },
+  ].sort((a, b) => b.separator.length - a.separator.length);
+  const cards = [];
+  let cardText = "";
+  let cardType = null;
+  let firstLineNo = 0;
+  const lines = text.replaceAll("\r\n", "\n").split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    if (line.startsWith("<!--") && !line.startsWith("<!--SR:")) {
+      while (i + 1 < lines.length && !line.includes("-->")) i++;
+      i++;
+      continue;
+    }
+    const isEmpty = trimmed.length === 0;
+    const hasEndMarker =
+      settings.multilineCardEndMarker &&
+      trimmed === settings.multilineCardEndMarker;
+    if ((isEmpty && !settings.multilineCardEndMarker) || (isEmpty && cardType === null) || hasEndMarker) {
+      if (cardType !== null) {
+        cards.push(
+          new ParsedQuestion(
+            cardType,
+            cardText.trimEnd(),
+            firstLineNo,
+            i - 1
+          )
+        );
+        cardType = null;
+      }
+      cardText = "";
+      firstLineNo = i + 1;
+      continue;
+    }
+    if (cardText.length > 0) cardText += "\n";
+    cardText += line.trimEnd();
+
+    for (const { separator, type } of inlineSeparators) {
+      if (hasInlineMarker(line, separator)) {
+        cardType = type;
+        break;
+      }
+    }
+
+    if (
+      cardType === QuestionType.SingleLineBasic ||
+      cardType === QuestionType.SingleLineReversed
+    ) {
+      // Like spaced repetition, a single-line card is only its own line (plus its SR comment).
+      cardText = line.trimEnd();
+      firstLineNo = i;
+      // Pull scheduling info from the next line(s) if present
+      if (i + 1 < lines.length && lines[i + 1].startsWith("<!--SR:")) {
+        cardText += "\n" + lines[i + 1];
+        i++;
+        while (!lines[i].includes("-->") && i + 1 < lines.length) {
+          cardText += "\n" + lines[i + 1];
+          i++;
+        }
+      }
+      cards.push(
+        new ParsedQuestion(cardType, cardText, firstLineNo, i)
+      );
+      cardType = null;
       cardText = "";
-      firstLineNo = i + 1;
       continue;
     }
-    if (cardText.length > 0) cardText += "\n";
-    cardText += line.trimEnd();
 
-    for (const { separator, type } of inlineSeparators) {
-      if (hasInlineMarker(line, separator)) {
-        cardType = type;
-        break;
+    if (trimmed === settings.multilineCardSeparator) {
+      if (cardText.length > 1) {
+        cardType = QuestionType.MultiLineBasic;
+      }
+    } else if (trimmed === settings.multilineReversedCardSeparator) {
+      if (cardText.length > 1) {
+        cardType = QuestionType.MultiLineReversed;
+      }
+    } else if (line.startsWith("```") || line.startsWith("~~~")) {
+      const fence = line.match(/`+|~+/)[0];
+      while (i + 1 < lines.length && !lines[i + 1].startsWith(fence)) {
+        i++;
+        cardText += "\n" + lines[i];
+      }
+      if (i + 1 < lines.length) {
+        i++;
+        cardText += "\n" + lines[i];
+      }
+    } else if (cardType === null && isClozeLine(line, settings)) {
+      cardType = QuestionType.Cloze;
+    }
+  }
+  if (cardType && cardText) {
+    cards.push(
+      new ParsedQuestion(
+        cardType,
+        cardText.trimEnd(),
+        firstLineNo,
+        lines.length - 1
+      )
+    );
+  }
+  return cards;
+}
+
+function expandQuestion(question, settings) {
+  // The SR comment belongs to the schedule, not to either side of the card.
+  const text = stripScheduleComment(question.rawText);
+  switch (question.type) {
+    case QuestionType.SingleLineBasic:
+      return expandSingleLine(text, settings.singleLineCardSeparator);
+    case QuestionType.SingleLineReversed:
+      return expandSingleLineReversed(
+        text,
+        settings.singleLineReversedCardSeparator
+      );
+    case QuestionType.MultiLineBasic:
+      return expandMultiLine(
+        text,
+        settings.multilineCardSeparator
+      );
+    case QuestionType.MultiLineReversed:
+      return expandMultiLineReversed(
+        text,
+        settings.multilineReversedCardSeparator
+      );
+    case QuestionType.Cloze:
+      return expandCloze(text, settings);
+    default:
+      return [];
+  }
+}
+
+function expandSingleLine(text, separator) {
+  const idx = text.indexOf(separator);
+  return [
+    {
+      front: text.substring(0, idx),
+      back: text.substring(idx + separator.length),
+    },
+  ];
+}
+
+function expandSingleLineReversed(text, separator) {
+  const idx = text.indexOf(separator);
+  const side1 = text.substring(0, idx);
+  const side2 = text.substring(idx + separator.length);
+  return [
+    { front: side1, back: side2 },
+    { front: side2, back: side1 },
+  ];
+}
+
+function expandMultiLine(text, separator) {
+  const lines = text.split("\n");
+  const idx = findLineIndex(lines, separator);
+  const side1 = lines.slice(0, idx).join("\n");
+  const side2 = lines.slice(idx + 1).join("\n");
+  return [{ front: side1, back: side2 }];
+}
+
+function expandMultiLineReversed(text, separator) {
+  const lines = text.split("\n");
+  const idx = findLineIndex(lines, separator);
+  const side1 = lines.slice(0, idx).join("\n");
+  const side2 = lines.slice(idx + 1).join("\n");
+  return [
+    { front: side1, back: side2 },
+    { front: side2, back: side1 },
+  ];
+}
+
+function expandCloze(text, settings) {
+  const deletions = findClozeDeletions(text, settings);
+  if (deletions.length === 0) {
+    return [{ front: text, back: text }];
+  }
+  const cards = [];
+  for (const active of groupClozeDeletions(deletions)) {
+    let front = "";
+    let back = "";
+    let cursor = 0;
+    deletions.forEach((deletion, idx) => {
+      const before = text.slice(cursor, deletion.start);
+      const placeholder = deletion.hint ? `[${deletion.hint}]` : "[...]";
+      front += before + (active.has(idx) ? placeholder : deletion.answer);
+      back += before + deletion.answer;
+      cursor = deletion.end;
+    });
+    front += text.slice(cursor);
+    back += text.slice(cursor);
+    cards.push({ front, back });
+  }
+  return cards;
+}
+
+// Cards of one question share their id up to the sibling index.
+function siblingGroupId(card) {
+  return card.id.slice(0, card.id.lastIndexOf(":"));
+}
+
+// Indices of the deletions each sibling card tests, in sibling order. Deletions sharing a
+// sequence number are tested together; unnumbered ones get a card each.
+function groupClozeDeletions(deletions) {
+  const groups = new Map();
+  deletions.forEach((deletion, idx) => {
+    const key = deletion.seq !== null ? `seq:${deletion.seq}` : `pos:${idx}`;
+    if (!groups.has(key)) groups.set(key, new Set());
+    groups.get(key).add(idx);
+  });
+  return Array.from(groups.values());
+}
+
+// Markdown for one side of a cloze card with its deletions wrapped in spans (as SR does) so the
+// tested ones can be highlighted and hidden ones revealed by a click. `hideAll` hides the siblings too.
+function renderClozeMarkdown(text, deletions, active, side, hideAll) {
+  let markdown = "";
+  let cursor = 0;
+  deletions.forEach((deletion, idx) => {
+    markdown += text.slice(cursor, deletion.start);
+    cursor = deletion.end;
+    const isActive = active.has(idx);
+    const cls = isActive ? "sr-cloze sr-cloze-active" : "sr-cloze";
+    if (side === "back" || (!isActive && !hideAll)) {
+      markdown += isActive ? `<span class="${cls}">${deletion.answer}</span>` : deletion.answer;
+      return;
+    }
+    const placeholder = deletion.hint ? `[${deletion.hint}]` : "[...]";
+    markdown +=
+      `<span class="${cls} sr-cloze-hidden"><span class="sr-cloze-placeholder">${placeholder}</span>` +
+      `<span class="sr-cloze-answer">${deletion.answer}</span></span>`;
+  });
+  return markdown + text.slice(cursor);
+}
+
+// Anki-style `{{c1::answer::hint}}` clozes are always recognised on top of SR's patterns.
+const ANKI_CLOZE_REGEX = /{{c(?<seq>\d*)::(?<answer>.*?)(?:::(?<hint>.*?))?}}/g;
+
+const clozeMatcherCache = new WeakMap();
+
+function getClozeMatchers(settings) {
+  let matchers = clozeMatcherCache.get(settings);
+  if (!matchers) {
+    matchers = [ANKI_CLOZE_REGEX];
+    for (const pattern of settings.clozePatterns || []) {
+      const regex = compileClozePattern(pattern);
+      if (regex) matchers.push(regex);
+    }
+    clozeMatcherCache.set(settings, matchers);
+  }
+  return matchers;
+}
+
+// Placeholders in SR cloze patterns: `[<prefix>123<separator>]`, `answer` and `[<separator>hint]`,
+// e.g. `==[123;;]answer[;;hint]==` or `{{[c123::]answer[::hint]}}`.
+const CLOZE_PLACEHOLDER_REGEX = /(\[[^[\]]*123[^[\]]*\]|answer|\[[^[\]]*hint\])/;
+
+// Turn an SR cloze pattern into a global regex.
+function compileClozePattern(pattern) {
+  if (typeof pattern !== "string" || !pattern.includes("answer")) return null;
+  const source = pattern
+    .split(CLOZE_PLACEHOLDER_REGEX)
+    .map((part, idx) => {
+      // split() puts the captured placeholders at odd indices.
+      if (idx % 2 === 0) return escapeRegex(part);
+      if (part === "answer") return "(?<answer>.+?)";
+      if (part.endsWith("hint]")) return `(?:${escapeRegex(part.slice(1, -5))}(?<hint>.+?))?`;
+      const [prefix, separator] = part.slice(1, -1).split("123");
+      return `(?:${escapeRegex(prefix)}(?<seq>\\d+)${escapeRegex(separator)})?`;
+    })
+    .join("");
+  try {
+    return new RegExp(source, "g");
+  } catch (err) {
+    console.warn(`[Spaced Repetition Explorer] Invalid cloze pattern "${pattern}".`, err);
+    return null;
+  }
+}
+
+// All cloze deletions in text across every pattern, in order and without overlaps.
+function findClozeDeletions(text, settings) {
+  const found = [];
+  getClozeMatchers(settings).forEach((regex, order) => {
+    for (const match of text.matchAll(regex)) {
+      const { seq, answer, hint } = match.groups;
+      found.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        order,
+        seq: seq ? seq : null,
+        answer: answer,
+        hint: hint || null,
+      });
+    }
+  });
+  found.sort((a, b) => a.start - b.start || a.order - b.order);
+  const deletions = [];
+  let lastEnd = -1;
+  for (const deletion of found) {
+    if (deletion.start < lastEnd) continue;
+    deletions.push(deletion);
+    lastEnd = deletion.end;
+  }
+  return deletions;
+}
+
+// Also removes comments spread over several lines, along with the line break before them.
+function stripScheduleComment(text) {
+  return text.replace(/\s*<!--SR:[\s\S]*?-->[ \t]*/g, "");
+}
+
+function findLineIndex(lines, search) {
+  return lines.findIndex(
+    (line) => line.trim() === search.trim()
+  );
+}
+
+function hasInlineMarker(text, marker) {
+  if (!marker || marker.length === 0) return false;
+  const idx = text.indexOf(marker);
+  if (idx === -1) return false;
+  return !markerInsideCodeBlock(text, marker, idx);
+}
+
+function markerInsideCodeBlock(text, marker, markerIndex) {
+  let backTicksBefore = 0,
+    backTicksAfter = 0;
+  for (let i = markerIndex - 1; i >= 0; i--) {
+    if (text[i] === "`") backTicksBefore++;
+  }
+  for (let i = markerIndex + marker.length; i < text.length; i++) {
+    if (text[i] === "`") backTicksAfter++;
+  }
+  return backTicksBefore % 2 === 1 && backTicksAfter % 2 === 1;
+}
+
+function isClozeLine(line, settings) {
+  return findClozeDeletions(line, settings).length > 0;
+}
+
+// The raw entries of a question's SR comment, in sibling order. Understands the current
+// `<!--SR:!due,interval,ease!...-->` form, also when SR wraps it over several lines, and the
+// older single-card `<!--SR:due,interval,ease-->`. Placeholder entries are kept.
+function parseScheduleComment(text) {
+  const comment = text.match(/<!--SR:([\s\S]*?)-->/);
+  if (!comment) return [];
+  const body = comment[1].trim();
+  const parts = body.startsWith("!") ? body.split("!").slice(1) : [body];
+  const entries = [];
+  for (const part of parts) {
+    const match = part.trim().match(/^([\d-]+),(\d+),(\d+)$/);
+    if (!match) continue;
+    entries.push({ due: match[1], interval: parseInt(match[2]), ease: parseInt(match[3]) });
+  }
+  return entries;
+}
+
+function splitSettingLines(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+function formatSettingValue(value, kind) {
+  if (kind === "toggle") return value ? "yes" : "no";
+  if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "none";
+  return value ? `"${value}"` : "none";
+}
+
+// A schedule from the JSON store, or null unless it has a valid due date, interval and ease.
+function normalizeStoredSchedule(value) {
+  if (!value || typeof value !== "object") return null;
+  const { due, interval, ease } = value;
+  if (typeof due !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(due)) return null;
+  if (!Number.isFinite(interval) || !Number.isFinite(ease)) return null;
+  return { due, interval: Math.round(interval), ease: Math.round(ease) };
+}
+
+function extractSchedules(text, cardCount, baseEase) {
+  const entries = parseScheduleComment(text);
+  const schedules = [];
+  for (let i = 0; i < cardCount; i++) {
+    const entry = entries[i];
+    schedules.push(entry && entry.due !== DUMMY_DUE_DATE ? entry : { ease: baseEase });
+  }
+  return schedules;
+}
+
+// --- Scheduling helpers ---
+const ReviewResponse = {
+  Reset: "reset",
+  Hard: "hard",
+  Good: "good",
+  Easy: "easy",
+};
+
+const GRADE_BUTTONS = [
+  { response: ReviewResponse.Reset, label: "Reset", key: "0", cls: "sr-reset-button" },
+  { response: ReviewResponse.Hard, label: "Hard", key: "1", cls: "sr-hard-button sr-bg-red" },
+  { response: ReviewResponse.Good, label: "Good", key: "2", cls: "sr-good-button sr-bg-blue" },
+  { response: ReviewResponse.Easy, label: "Easy", key: "3", cls: "sr-easy-button sr-bg-green" },
+];
+
+const GRADE_KEYS = Object.fromEntries(GRADE_BUTTONS.map(({ key, response }) => [key, response]));
+
+// SM-2 variant used by the spaced-repetition plugin (see its `schedule()`); intervals are in days.
+function schedule(response, interval, ease, delayBeforeReview, settings, fuzz = true) {
+  const delay = Math.max(0, delayBeforeReview);
+  if (response === ReviewResponse.Easy) {
+    ease += 20;
+    interval = ((interval + delay) * ease) / 100;
+    interval *= settings.easyBonus;
+  } else if (response === ReviewResponse.Good) {
+    interval = ((interval + delay / 2) * ease) / 100;
+  } else if (response === ReviewResponse.Hard) {
+    ease = Math.max(MIN_EASE, ease - 20);
+    interval = Math.max(1, (interval + delay / 4) * settings.lapsesIntervalChange);
+  } else {
+    interval = 1;
+  }
+  if (fuzz && interval >= 8) {
+    const spread = 0.05 * interval;
+    interval += Math.random() * 2 * spread - spread;
+  }
+  interval = Math.min(interval, settings.maximumInterval);
+  return { interval: Math.round(interval * 10) / 10, ease };
+}
+
+function computeNextSchedule(card, response, settings, fuzz = true, now = Date.now()) {
+  const isNew = !card.due || card.interval === null;
+  const interval = isNew ? 1 : card.interval;
+  const ease = isNew ? settings.baseEase : card.ease;
+  const dueTime = parseDueDate(card.due);
+  // Whole days overdue, floored like SR does before weighting the delay.
+  const delayBeforeReview = isNew || !Number.isFinite(dueTime) ? 0 : Math.floor((now - dueTime) / DAY_MS);
+  const next = schedule(response, interval, ease, delayBeforeReview, settings, fuzz);
+  const days = Math.max(1, Math.round(next.interval));
+  return {
+    due: formatDueDate(now + days * DAY_MS),
+    interval: days,
+    ease: Math.round(next.ease),
+  };
+}
+
+function formatDueDate(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatInterval(days) {
+  if (days >= 365) return `${Math.round((days / 365) * 10) / 10}y`;
+  if (days >= 30) return `${Math.round((days / 30) * 10) / 10}mo`;
+  return `${days}d`;
+}
+
+function formatScheduleComment(schedules) {
+  return "<!--SR:" + schedules.map((s) => `!${s.due},${s.interval},${s.ease}`).join("") + "-->";
+}
+
+// Replace the SR comment of the card's question, keeping every sibling's slot in place.
+function rewriteQuestionSchedule(content, card, next, settings) {
+  return rewriteSchedules(content, [{ card, next }], settings);
+}
+
+// Apply several schedule changes to one note in a single pass; a `next` of null makes the card new again.
+// Questions are rewritten bottom-up so the line numbers of the ones above stay valid.
+function rewriteSchedules(content, updates, settings) {
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  const lines = content.replaceAll("\r\n", "\n").split("\n");
+  const questions = new Map(parseQuestions(content, settings).map((q) => [q.firstLine, q]));
+  const byLine = new Map();
+  for (const update of updates) {
+    const firstLine = update.card.line - 1;
+    if (!byLine.has(firstLine)) byLine.set(firstLine, []);
+    byLine.get(firstLine).push(update);
+  }
+  for (const firstLine of Array.from(byLine.keys()).sort((a, b) => b - a)) {
+    const found = questions.get(firstLine);
+    const { question } = found ? applyQuestionTags(found, settings) : {};
+    const siblings = question ? expandQuestion(question, settings) : [];
+    const schedules = question
+      ? extractSchedules(question.rawText, siblings.length, settings.baseEase).map((s) => (s.due ? s : null))
+      : [];
+    for (const { card, next } of byLine.get(firstLine)) {
+      const sibling = siblings[card.siblingIndex];
+      if (!sibling || sibling.front.trim() !== card.front) {
+        throw new Error("The card changed on disk; refresh the explorer and try again.");
+      }
+      schedules[card.siblingIndex] = next;
+    }
+    const questionLines = stripScheduleComment(
+      lines.slice(question.firstLine, question.lastLine + 1).join("\n")
+    ).split("\n");
+    while (questionLines.length > 1 && questionLines[questionLines.length - 1].trim() === "") {
+      questionLines.pop();
+    }
+    // Like SR, a question whose cards are all new has no comment; otherwise new siblings keep a placeholder slot.
+    if (schedules.some(Boolean)) {
+      const comment = formatScheduleComment(
+        schedules.map((s) => s || { due: DUMMY_DUE_DATE, interval: 1, ease: settings.baseEase })
+      );
+      if (settings.cardCommentOnSameLine) {
+        questionLines[questionLines.length - 1] += " " + comment;
+      } else {
+        questionLines.push(comment);
+      }
+    }
+    lines.splice(question.firstLine, question.lastLine - question.firstLine + 1, ...questionLines);
+  }
+  return lines.join(eol);
+}
+
+const BULK_OPERATIONS = [
+  { value: "reset", label: "Reset to new" },
+  { value: "ease", label: "Set ease" },
+  { value: "postpone", label: "Postpone due dates by N days" },
+  { value: "spread", label: "Spread overdue cards over the next N days" },
+];
+
+// The schedule changes of a bulk operation as [{ card, next }], leaving out cards it does not change.
+function planBulkSchedule(cards, operation, value, now = Date.now()) {
+  // A note filed under several decks yields one card per deck; change each card once.
+  const unique = Array.from(new Map(cards.map((card) => [card.id, card])).values());
+  const scheduled = unique.filter((card) => card.due);
+  switch (operation) {
+    case "reset":
+      return scheduled.map((card) => ({ card, next: null }));
+    case "ease":
+      return scheduled
+        .filter((card) => card.ease !== value)
+        .map((card) => ({ card, next: { due: card.due, interval: card.interval, ease: value } }));
+    case "postpone":
+      return scheduled.map((card) => ({
+        card,
+        next: { due: addDaysToDate(card.due, value), interval: card.interval, ease: card.ease },
+      }));
+    case "spread": {
+      // Oldest first, starting today, so each of the N days gets about the same number of cards.
+      const today = formatDueDate(now);
+      const overdue = scheduled
+        .filter((card) => card.due < today)
+        .sort((a, b) => a.due.localeCompare(b.due) || compareByEase(a, b));
+      return overdue.map((card, idx) => ({
+        card,
+        next: {
+          due: addDaysToDate(today, Math.floor((idx * value) / overdue.length)),
+          interval: card.interval,
+          ease: card.ease,
+        },
+      }));
+    }
+    default:
+      throw new Error(`Unknown operation "${operation}".`);
+  }
+}
+
+function groupUpdatesByFile(plan) {
+  const byFile = new Map();
+  for (const update of plan) {
+    if (!byFile.has(update.card.filePath)) byFile.set(update.card.filePath, []);
+    byFile.get(update.card.filePath).push(update);
+  }
+  return byFile;
+}
+
+// Calendar arithmetic on YYYY-MM-DD dates in local time.
+function addDaysToDate(due, days) {
+  const [year, month, day] = due.split("-").map(Number);
+  return formatDueDate(new Date(year, month - 1, day + days).getTime());
+}
+
+// Find the question a card came from and make sure the card still reads the same on disk.
+function locateCardQuestion(content, card, settings) {
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  const lines = content.replaceAll("\r\n", "\n").split("\n");
+  const found = parseQuestions(content, settings).find(
+    (q) => q.firstLine === card.line - 1
+  );
+  const { question, tags } = found ? applyQuestionTags(found, settings) : {};
+  const siblings = question ? expandQuestion(question, settings) : [];
+  const sibling = siblings[card.siblingIndex];
+  if (!sibling || sibling.front.trim() !== card.front) {
+    throw new Error("The card changed on disk; refresh the explorer and try again.");
+  }
+  return { lines, eol, question, siblings, tags };
+}
+
+// Append a tag to the card question's first line (before an inline SR comment).
+function addTagToQuestion(content, card, tag, settings) {
+  const { lines, eol, question } = locateCardQuestion(content, card, settings);
+  const first = lines[question.firstLine];
+  if (first.split(/\s+/).includes(tag)) return content;
+  const separator = {
+    [QuestionType.SingleLineBasic]: settings.singleLineCardSeparator,
+    [QuestionType.SingleLineReversed]: settings.singleLineReversedCardSeparator,
+  }[question.type];
+  // Single-line cards get the tag before the separator, so it stays on the front instead of joining the answer.
+  const tagAt = separator ? first.indexOf(separator) : first.indexOf("<!--SR:");
+  lines[question.firstLine] =
+    tagAt === -1
+      ? `${first.trimEnd()} ${tag}`
+      : `${first.slice(0, tagAt).trimEnd()} ${tag}${separator ? "" : " "}${first.slice(tagAt)}`;
+  return lines.join(eol);
+}
+
+// The editable text of a card: both sides for basic/reversed cards, the whole question for clozes.
+function getEditableCardText(content, card, settings) {
+  const { question } = locateCardQuestion(content, card, settings);
+  if (question.type === QuestionType.Cloze) {
+    return { text: stripScheduleComment(question.rawText) };
+  }
+  return { front: card.front, back: card.back };
+}
+
+// Replace a card's front/back (or cloze text) in the note, keeping its separator and SR comment.
+function rewriteQuestionText(content, card, edit, settings) {
+  const { lines, eol, question, tags } = locateCardQuestion(content, card, settings);
+  const originalLines = lines.slice(question.firstLine, question.lastLine + 1);
+  const original = originalLines.join("\n");
+  const body = stripScheduleComment(original);
+  const comment = original.match(/[ \t]*<!--SR:[\s\S]*?-->/);
+  const commentOnOwnLine = comment && (comment.index === 0 || original[comment.index - 1] === "\n");
+
+  let newBody = buildQuestionBody(question, body, card, edit, settings);
+  // Question-level deck tags are hidden from the editor; put back any the edit did not keep.
+  const missingTags = tags.filter((tag) => !newBody.includes(tag));
+  if (missingTags.length > 0) newBody = `${missingTags.join(" ")} ${newBody}`;
+  const newLines = newBody.split("\n");
+  if (commentOnOwnLine) {
+    newLines.push(...comment[0].split("\n"));
+  } else if (comment) {
+    newLines[newLines.length - 1] += comment[0];
+  }
+  lines.splice(question.firstLine, question.lastLine - question.firstLine + 1, ...newLines);
+  return lines.join(eol);
+}
+
+function buildQuestionBody(question, body, card, edit, settings) {
+  const reversed =
+    question.type === QuestionType.SingleLineReversed ||
+    question.type === QuestionType.MultiLineReversed;
+  const [side1, side2] = reversed && card.siblingIndex === 1 ? [edit.back, edit.front] : [edit.front, edit.back];
+  switch (question.type) {
+    case QuestionType.Cloze: {
+      if (!edit.text.trim()) throw new Error("The card text cannot be empty.");
+      if (/\n\s*\n/.test(edit.text.trim())) throw new Error("A cloze card cannot contain blank lines.");
+      return edit.text.trim();
+    }
+    case QuestionType.SingleLineBasic:
+    case QuestionType.SingleLineReversed: {
+      const separator =
+        question.type === QuestionType.SingleLineBasic
+          ? settings.singleLineCardSeparator
+          : settings.singleLineReversedCardSeparator;
+      if (/\n/.test(side1 + side2)) throw new Error("A single-line card cannot contain line breaks.");
+      if (!side1.trim() || !side2.trim()) throw new Error("Neither side of the card can be empty.");
+      // Keep whatever spacing the author used around the separator.
+      const idx = body.indexOf(separator);
+      const spaceBefore = body.slice(0, idx).match(/\s*$/)[0];
+      const spaceAfter = body.slice(idx + separator.length).match(/^\s*/)[0];
+      return `${side1.trim()}${spaceBefore}${separator}${spaceAfter}${side2.trim()}`;
+    }
+    default: {
+      const separator =
+        question.type === QuestionType.MultiLineBasic
+          ? settings.multilineCardSeparator
+          : settings.multilineReversedCardSeparator;
+      if (!side1.trim() || !side2.trim()) throw new Error("Neither side of the card can be empty.");
+      if (/\n\s*\n/.test(side1.trim() + "\n" + side2.trim()) && !settings.multilineCardEndMarker) {
+        throw new Error("A multi-line card cannot contain blank lines.");
+      }
+      const bodyLines = body.split("\n");
+      const separatorLine = bodyLines[findLineIndex(bodyLines, separator)];
+      return `${side1.trim()}\n${separatorLine}\n${side2.trim()}`;
+    }
+  }
+}
+
+// --- Duplicate helpers ---
+const DUPLICATE_MIN_WORD_LIMIT = 100;
+const DUPLICATE_MAX_WORD_SHARE = 0.02;
+
+// Text used to compare cards: clozes by their revealed text, everything else by the front.
+function normalizeCardText(card) {
+  const text = card.type === QuestionType.Cloze ? card.back : card.front;
+  return toPlainText(text.replace(ANKI_CLOZE_REGEX, "$<answer>"))
+    .replace(/\[\.\.\.\]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function bigrams(text) {
+  const counts = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+  return counts;
+}
+
+// Sørensen–Dice coefficient over character bigrams.
+function diceSimilarity(a, b) {
+  if (a.text === b.text) return 1;
+  const total = a.text.length + b.text.length - 2;
+  if (total <= 0) return 0;
+  let shared = 0;
+  for (const [gram, count] of a.grams) {
+    shared += Math.min(count, b.grams.get(gram) || 0);
+  }
+  return (2 * shared) / total;
+}
+
+// Group cards whose normalized text is identical or at least `threshold` similar.
+// One entry per question: decks sharing a card and cloze siblings are not duplicates.
+function findDuplicateGroups(cards, threshold) {
+  const entries = [];
+  const seen = new Set();
+  for (const card of cards) {
+    const key = card.type === QuestionType.Cloze ? `${card.filePath}:${card.line}` : card.id;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const text = normalizeCardText(card);
+    if (text.length > 0) entries.push({ card, text });
+  }
+
+  const parent = entries.map((_, idx) => idx);
+  const find = (idx) => (parent[idx] === idx ? idx : (parent[idx] = find(parent[idx])));
+  const minSimilarity = new Map();
+  const union = (a, b, similarity) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    const min = Math.min(similarity, minSimilarity.get(rootA) ?? 1, minSimilarity.get(rootB) ?? 1);
+    if (rootA !== rootB) parent[rootB] = rootA;
+    minSimilarity.set(find(a), min);
+  };
+
+  const byText = new Map();
+  entries.forEach((entry, idx) => {
+    if (byText.has(entry.text)) union(byText.get(entry.text), idx, 1);
+    else byText.set(entry.text, idx);
+  });
+
+  if (threshold < 1) {
+    // Prefix filtering: index each card under its rarest words only, and compare two cards
+    // when they share one of those and their lengths allow the threshold. Words that occur
+    // in a large share of all cards are too common to find near-duplicates by and are skipped.
+    const unique = Array.from(byText.values());
+    const maxFrequency = Math.max(DUPLICATE_MIN_WORD_LIMIT, unique.length * DUPLICATE_MAX_WORD_SHARE);
+    const frequency = new Map();
+    for (const idx of unique) {
+      entries[idx].grams = bigrams(entries[idx].text);
+      entries[idx].words = Array.from(new Set(entries[idx].text.split(" "))).filter((w) => w.length >= 3);
+      for (const word of entries[idx].words) {
+        frequency.set(word, (frequency.get(word) || 0) + 1);
       }
     }
-
-    if (
-      cardType === QuestionType.SingleLineBasic ||
-      cardType === QuestionType.SingleLineReversed
-    ) {
-      // Pull scheduling info from the next line if present
-      if (i + 1 < lines.length && lines[i + 1].startsWith("<!--SR:")) {
-        cardText += "\n" + lines[i + 1];
-        i++;
+    const lengthRatio = threshold / (2 - threshold);
+    const index = new Map();
+    for (const idx of unique) {
+      const a = entries[idx];
+      const words = a.words.sort((x, y) => frequency.get(x) - frequency.get(y) || x.localeCompare(y));
+      const prefix = words
+        .slice(0, Math.max(1, Math.ceil(words.length * (1 - threshold)) + 1))
+        .filter((word) => frequency.get(word) <= maxFrequency);
+      const compared = new Set();
+      for (const word of prefix) {
+        for (const other of index.get(word) || []) {
+          if (compared.has(other)) continue;
+          compared.add(other);
+          const b = entries[other];
+          const [shorter, longer] = [a.text.length, b.text.length].sort((x, y) => x - y);
+          if (shorter < longer * lengthRatio) continue;
+          const similarity = diceSimilarity(a, b);
+          if (similarity >= threshold) union(other, idx, similarity);
+        }
+        if (!index.has(word)) index.set(word, []);
+        index.get(word).push(idx);
       }
-      cards.push(
-        new ParsedQuestion(cardType, cardText, firstLineNo, i)
-      );
-      cardType = null;
-      cardText = "";
-      continue;
     }
+  }
 
-    if (trimmed === settings.multilineCardSeparator) {
-      if (cardText.length > 1) {
-        cardType = QuestionType.MultiLineBasic;
-      }
-    } else if (trimmed === settings.multilineReversedCardSeparator) {
-      if (cardText.length > 1) {
-        cardType = QuestionType.MultiLineReversed;
+  const groups = new Map();
+  entries.forEach((entry, idx) => {
+    const root = find(idx);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry.card);
+  });
+  return Array.from(groups.entries())
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => {
+      const similarity = minSimilarity.get(root) ?? 1;
+      return { similarity, exact: similarity === 1, cards: members };
+    })
+    .sort((a, b) => b.similarity - a.similarity || b.cards.length - a.cards.length);
+}
+
+// --- Lint helpers ---
+const LintSeverity = {
+  Error: "error",
+  Warning: "warning",
+};
+
+// Find problems the parser silently tolerates. Lines in the result are 1-based like card lines.
+function lintNote(content, settings) {
+  const issues = [];
+  const report = (severity, line, message, endLine = line) =>
+    issues.push({ severity, line: line + 1, endLine: endLine + 1, message });
+  const lines = content.replaceAll("\r\n", "\n").split("\n");
+  const questions = parseQuestions(content, settings);
+
+  lintCodeFences(lines, report);
+
+  const covered = new Set();
+  for (const parsed of questions) {
+    for (let i = parsed.firstLine; i <= parsed.lastLine; i++) covered.add(i);
+    const { question } = applyQuestionTags(parsed, settings);
+    const siblings = expandQuestion(question, settings);
+    const { firstLine, lastLine } = question;
+    siblings.forEach(({ front, back }, idx) => {
+      const label = siblings.length > 1 ? `Card ${idx + 1}` : "Card";
+      if (!front.trim()) report(LintSeverity.Error, firstLine, `${label} has an empty front.`, lastLine);
+      else if (!back.trim()) report(LintSeverity.Error, firstLine, `${label} has an empty back.`, lastLine);
+    });
+    const entries = parseScheduleComment(question.rawText);
+    if (entries.length > siblings.length) {
+      report(
+        LintSeverity.Error,
+        firstLine,
+        `SR comment has ${entries.length} schedules but the question expands to ${siblings.length} cards; extra entries will be misassigned.`,
+        lastLine
+      );
+    } else if (entries.length > 0 && entries.length < siblings.length) {
+      report(
+        LintSeverity.Warning,
+        firstLine,
+        `SR comment has ${entries.length} schedules for ${siblings.length} cards; the rest are treated as new.`,
+        lastLine
+      );
+    }
+    for (const { due } of entries) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(due) || Number.isNaN(Date.parse(due))) {
+        report(LintSeverity.Error, firstLine, `Invalid due date "${due}" in SR comment.`, lastLine);
       }
-    } else if (line.startsWith("```") || line.startsWith("~~~")) {
-      const fence = line.match(/`+|~+/)[0];
-      while (i + 1 < lines.length && !lines[i + 1].startsWith(fence)) {
-        i++;
-        cardText += "\n" + lines[i];
+    }
+  }
+
+  lines.forEach((line, idx) => {
+    if (line.includes("<!--SR:") && !covered.has(idx)) {
+      report(LintSeverity.Warning, idx, "SR comment is not attached to any card (check for a blank line above it).");
+    }
+  });
+
+  lintClozeMarkers(lines, settings, report);
+  return issues.sort((a, b) => a.line - b.line);
+}
+
+// An opening fence without a closing one makes the parser swallow the rest of the note.
+function lintCodeFences(lines, report) {
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].startsWith("```") && !lines[i].startsWith("~~~")) continue;
+    const fence = lines[i].match(/`+|~+/)[0];
+    let close = i + 1;
+    while (close < lines.length && !lines[close].startsWith(fence)) close++;
+    if (close >= lines.length) {
+      report(LintSeverity.Error, i, "Unclosed code fence; everything after it is read as part of one card.");
+      return;
+    }
+    i = close;
+  }
+}
+
+// Lines with an opening cloze marker that never closes (e.g. `==answer`) or that encloses nothing
+// (e.g. `====`, `{{}}`) are silently not clozes.
+function lintClozeMarkers(lines, settings, report) {
+  const markers = (settings.clozePatterns || [])
+    .map((pattern) => {
+      const parts = pattern.split(CLOZE_PLACEHOLDER_REGEX);
+      return { open: parts[0], close: parts[parts.length - 1] };
+    })
+    .filter(({ open, close }) => open && close);
+  let inFence = false;
+  lines.forEach((line, idx) => {
+    if (line.startsWith("```") || line.startsWith("~~~")) inFence = !inFence;
+    if (inFence) return;
+    const text = line.replace(/`[^`]*`/g, "");
+    for (const { open, close } of markers) {
+      const opens = text.split(open).length - 1;
+      const balanced = open === close ? opens % 2 === 0 : opens === text.split(close).length - 1;
+      if (!balanced) {
+        report(LintSeverity.Warning, idx, `Unbalanced cloze marker "${open}…${close}"; that cloze is not recognised.`);
+        break;
       }
-      if (i + 1 < lines.length) {
-        i++;
-        cardText += "\n" + lines[i];
+      // Setext heading underlines and horizontal rules are made of marker characters but aren't clozes.
+      if (opens > 0 && !/^\s*([=*-])\1*\s*$/.test(text) && findClozeDeletions(text, settings).length === 0) {
+        report(LintSeverity.Warning, idx, `Cloze marker "${open}…${close}" without an answer; this line makes no cloze.`);
+        break;
       }
-    } else if (cardType === null && isClozeLine(line, settings)) {
-      cardType = QuestionType.Cloze;
     }
+  });
+}
+
+// --- Search helpers ---
+const SEARCH_TYPES = {
+  basic: [QuestionType.SingleLineBasic, QuestionType.MultiLineBasic],
+  reversed: [QuestionType.SingleLineReversed, QuestionType.MultiLineReversed],
+  singleline: [QuestionType.SingleLineBasic, QuestionType.SingleLineReversed],
+  multiline: [QuestionType.MultiLineBasic, QuestionType.MultiLineReversed],
+  cloze: [QuestionType.Cloze],
+};
+
+const SEARCH_TOKEN_REGEX = /(-?)(?:(\w+)(<=|>=|<|>|=|:)("[^"]*"|\S*)|"([^"]*)"|(\S+))/g;
+
+const SEARCH_QUALIFIERS = new Set(["deck", "file", "path", "type", "is", "flag", "comment", "ease", "interval", "due"]);
+
+// Compile a search query into a card predicate. Terms are ANDed; a leading "-" negates a term.
+//   free text / "quoted phrase"    matches front or back
+//   deck:Path/Sub  file:text       deck path prefix, source path substring
+//   ease<200 interval>=30          numeric comparisons (<, <=, >, >=, =, :)
+//   due<today+7 due=2024-05-01     dates as YYYY-MM-DD or today[+/-N]
+//   type:cloze|basic|reversed|singleline|multiline   is:new|due|overdue|leech|hidden
+//   flag:red|orange|green|blue|purple|any   is:flagged|bookmarked|commented   comment:text
+// `context` supplies the explorer-owned states (leech, hidden from the Leeches deck, annotations) that aren't on the card.
+function compileSearchQuery(query, now = Date.now(), context = {}) {
+  const predicates = [];
+  for (const match of query.matchAll(SEARCH_TOKEN_REGEX)) {
+    const [, negate, key, op, rawValue, phrase, word] = match;
+    let predicate;
+    if (key !== undefined && SEARCH_QUALIFIERS.has(key.toLowerCase())) {
+      const value = rawValue.replace(/^"(.*)"$/, "$1");
+      if (value.length === 0) throw new Error(`Missing value for "${key}${op}".`);
+      predicate = compileSearchQualifier(key.toLowerCase(), op, value, now, context);
+    } else {
+      // Unknown keys such as "http://x" or "what::is" are searched as plain text.
+      const needle = (key !== undefined ? match[0].slice(negate.length) : phrase ?? word).toLowerCase();
+      predicate = (card) =>
+        card.front.toLowerCase().includes(needle) || card.back.toLowerCase().includes(needle);
+    }
+    predicates.push(negate ? (card) => !predicate(card) : predicate);
   }
-  if (cardType && cardText) {
-    cards.push(
-      new ParsedQuestion(
-        cardType,
-        cardText.trimEnd(),
-        firstLineNo,
-        lines.length - 1
-      )
-    );
+  return (card) => predicates.every((predicate) => predicate(card));
+}
+
+function compileSearchQualifier(key, op, value, now, context) {
+  const lower = value.toLowerCase();
+  switch (key) {
+    case "deck":
+      return (card) => {
+        const deck = card.deck.toLowerCase();
+        return deck === lower || deck.startsWith(lower + "/");
+      };
+    case "file":
+    case "path":
+      return (card) => card.filePath.toLowerCase().includes(lower);
+    case "type": {
+      const types = SEARCH_TYPES[lower];
+      if (!types) throw new Error(`Unknown card type "${value}".`);
+      return (card) => types.includes(card.type);
+    }
+    case "is":
+      return compileSearchState(lower, now, context);
+    case "flag": {
+      if (!context.getAnnotation) throw new Error(`"flag:" is not available here.`);
+      if (lower !== "any" && !CARD_FLAGS.some((flag) => flag.key === lower)) {
+        throw new Error(`Unknown flag "${value}".`);
+      }
+      return (card) => {
+        const flag = context.getAnnotation(card)?.flag;
+        return lower === "any" ? !!flag : flag === lower;
+      };
+    }
+    case "comment":
+      if (!context.getAnnotation) throw new Error(`"comment:" is not available here.`);
+      return (card) => (context.getAnnotation(card)?.comment || "").toLowerCase().includes(lower);
+    case "ease":
+    case "interval": {
+      const target = Number(value);
+      if (Number.isNaN(target)) throw new Error(`"${key}" needs a number, got "${value}".`);
+      return (card) => card[key] !== null && compareSearchValues(card[key], op, target);
+    }
+    case "due": {
+      const target = parseSearchDate(lower, now);
+      return (card) => card.due !== null && compareSearchValues(parseDueDate(card.due), op, target);
+    }
+    default:
+      throw new Error(`Unknown search qualifier "${key}".`);
   }
-  return cards;
 }
 
-function expandQuestion(question, settings) {
-  switch (question.type) {
-    case QuestionType.SingleLineBasic:
-      return expandSingleLine(question.rawText, settings.singleLineCardSeparator);
-    case QuestionType.SingleLineReversed:
-      return expandSingleLineReversed(
-        question.rawText,
-        settings.singleLineReversedCardSeparator
-      );
-    case QuestionType.MultiLineBasic:
-      return expandMultiLine(
-        question.rawText,
-        settings.multilineCardSeparator
-      );
-    case QuestionType.MultiLineReversed:
-      return expandMultiLineReversed(
-        question.rawText,
-        settings.multilineReversedCardSeparator
-      );
-    case QuestionType.Cloze:
-      return expandCloze(question.rawText);
+function compileSearchState(state, now, context) {
+  const today = Date.parse(formatDueDate(now));
+  switch (state) {
+    case "new":
+      return (card) => !card.due;
+    case "due":
+      return (card) => !!card.due && parseDueDate(card.due) <= today;
+    case "overdue":
+      return (card) => !!card.due && parseDueDate(card.due) < today;
+    case "leech":
+    case "hidden": {
+      const check = state === "leech" ? context.isLeech : context.isHiddenLeech;
+      if (!check) throw new Error(`"is:${state}" is not available here.`);
+      return check;
+    }
+    case "flagged":
+    case "bookmarked":
+    case "commented": {
+      if (!context.getAnnotation) throw new Error(`"is:${state}" is not available here.`);
+      const has = {
+        flagged: (annotation) => !!annotation.flag,
+        bookmarked: (annotation) => annotation.bookmarked,
+        commented: (annotation) => !!annotation.comment,
+      }[state];
+      return (card) => {
+        const annotation = context.getAnnotation(card);
+        return annotation !== null && has(annotation);
+      };
+    }
     default:
-      return [];
+      throw new Error(`Unknown state "is:${state}".`);
   }
 }
 
-function expandSingleLine(text, separator) {
-  const idx = text.indexOf(separator);
-  return [
-    {
-      front: text.substring(0, idx),
-      back: text.substring(idx + separator.length),
-    },
-  ];
+function compareSearchValues(actual, op, target) {
+  switch (op) {
+    case "<":
+      return actual < target;
+    case "<=":
+      return actual <= target;
+    case ">":
+      return actual > target;
+    case ">=":
+      return actual >= target;
+    default:
+      return actual === target;
+  }
 }
 
-function expandSingleLineReversed(text, separator) {
-  const idx = text.indexOf(separator);
-  const side1 = text.substring(0, idx);
-  const side2 = text.substring(idx + separator.length);
-  return [
-    { front: side1, back: side2 },
-    { front: side2, back: side1 },
-  ];
+// "today", "today+7", "today-3" or an explicit YYYY-MM-DD, as the UTC midnight SR dates parse to.
+function parseSearchDate(value, now) {
+  const relative = value.match(/^today(?:([+-])(\d+))?$/);
+  if (relative) {
+    const offset = relative[2] ? parseInt(relative[2]) * (relative[1] === "-" ? -1 : 1) : 0;
+    return Date.parse(formatDueDate(now + offset * DAY_MS));
+  }
+  const parsed = Date.parse(value);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(parsed)) {
+    throw new Error(`Invalid date "${value}"; use YYYY-MM-DD or today±N.`);
+  }
+  return parsed;
 }
 
-function expandMultiLine(text, separator) {
-  const lines = text.split("\n");
-  const idx = findLineIndex(lines, separator);
-  const side1 = lines.slice(0, idx).join("\n");
-  const side2 = lines.slice(idx + 1).join("\n");
-  return [{ front: side1, back: side2 }];
+// --- Code block helpers ---
+const CODE_BLOCK_DEFAULTS = { deck: "", sort: "ease", limit: 20, filter: "", view: "table" };
+
+// Parse `key: value` lines of an sr-explorer block: deck, sort (ease|due), limit, filter, view (table|carousel).
+function parseCodeBlockOptions(source) {
+  const options = { ...CODE_BLOCK_DEFAULTS };
+  for (const rawLine of source.split("\n")) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+    const idx = line.indexOf(":");
+    if (idx === -1) throw new Error(`Expected "key: value", got "${line}".`);
+    const key = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+    switch (key) {
+      case "deck":
+      case "filter":
+        options[key] = value;
+        break;
+      case "sort":
+        if (!SORT_MODES.some((mode) => mode.value === value)) {
+          throw new Error(`Unknown sort "${value}"; use ${SORT_MODES.map((mode) => mode.value).join(", ")}.`);
+        }
+        options.sort = value;
+        break;
+      case "view":
+        if (!["table", "carousel"].includes(value)) throw new Error(`Unknown view "${value}"; use table or carousel.`);
+        options.view = value;
+        break;
+      case "limit": {
+        const limit = parseInt(value);
+        if (!(limit > 0)) throw new Error(`"limit" must be a positive number.`);
+        options.limit = limit;
+        break;
+      }
+      default:
+        throw new Error(`Unknown option "${key}".`);
+    }
+  }
+  return options;
 }
 
-function expandMultiLineReversed(text, separator) {
-  const lines = text.split("\n");
-  const idx = findLineIndex(lines, separator);
-  const side1 = lines.slice(0, idx).join("\n");
-  const side2 = lines.slice(idx + 1).join("\n");
-  return [
-    { front: side1, back: side2 },
-    { front: side2, back: side1 },
-  ];
+// --- Export helpers ---
+const EXPORT_EXTENSIONS = { csv: "csv", anki: "txt", json: "json" };
+
+const EMBED_REGEX = /!\[\[([^\]|#]+)(?:[^\]]*)\]\]|!\[[^\]]*\]\(([^)]+)\)/g;
+
+function applyImageExportOption(markdown, option, asHtml) {
+  if (option === "keep") return markdown;
+  return markdown.replace(EMBED_REGEX, (full, wikiTarget, mdTarget) => {
+    const target = safeDecodeUri((wikiTarget || mdTarget).trim());
+    const ext = target.split(".").pop().toLowerCase();
+    if (!IMAGE_FORMATS.includes(ext)) return option === "remove" ? "" : full;
+    if (option === "remove") return "";
+    const name = target.split("/").pop();
+    return asHtml ? `<img src="${name}">` : `[${name}]`;
+  });
 }
 
-function expandCloze(text) {
-  const matches = [...text.matchAll(/{{c\d*::(.*?)(::(.*?))?}}/g)];
-  if (matches.length === 0) {
-    return [{ front: text, back: text }];
+function safeDecodeUri(text) {
+  try {
+    return decodeURI(text);
+  } catch (err) {
+    return text;
   }
-  const cards = [];
-  for (let i = 0; i < matches.length; i++) {
-    let front = text;
-    let back = text;
-    matches.forEach((match, idx) => {
-      const answer = match[1];
-      const hint = match[3];
-      const placeholder = hint ? `[${hint}]` : "[...]";
-      const replacementFront = idx === i ? placeholder : answer;
-      const full = match[0];
-      front = front.replace(full, replacementFront);
-      back = back.replace(full, answer);
-    });
-    cards.push({ front, back });
+}
+
+// Rewrite a cloze question in Anki notation, numbering SR sequence groups in reading order.
+function toAnkiCloze(text, settings) {
+  const deletions = findClozeDeletions(text, settings);
+  const numbers = new Map();
+  let result = "";
+  let cursor = 0;
+  deletions.forEach((deletion, idx) => {
+    const key = deletion.seq !== null ? `seq:${deletion.seq}` : `pos:${idx}`;
+    if (!numbers.has(key)) numbers.set(key, numbers.size + 1);
+    const hint = deletion.hint ? `::${deletion.hint}` : "";
+    result += text.slice(cursor, deletion.start) + `{{c${numbers.get(key)}::${deletion.answer}${hint}}}`;
+    cursor = deletion.end;
+  });
+  return result + text.slice(cursor);
+}
+
+function formatExport(rows, format) {
+  switch (format) {
+    case "anki":
+      return formatAnkiExport(rows);
+    case "json":
+      return formatJsonExport(rows);
+    default:
+      return formatCsvExport(rows);
   }
-  return cards;
 }
 
-function findLineIndex(lines, search) {
-  return lines.findIndex(
-    (line) => line.trim() === search.trim()
+function formatCsvExport(rows) {
+  const quote = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+  };
+  const header = ["front", "back", "deck", "ease", "interval", "due", "file", "line", "tags"];
+  const lines = rows.map(({ card, front, back, tags }) =>
+    [front, back, card.deck, card.ease, card.interval, card.due, card.filePath, card.line, tags.join(" ")]
+      .map(quote)
+      .join(",")
   );
+  return [header.join(","), ...lines].join("\r\n") + "\r\n";
 }
 
-function hasInlineMarker(text, marker) {
-  if (!marker || marker.length === 0) return false;
-  const idx = text.indexOf(marker);
-  if (idx === -1) return false;
-  return !markerInsideCodeBlock(text, marker, idx);
+// Anki's text importer reads these header lines to map the note type, deck and tag columns.
+function formatAnkiExport(rows) {
+  const field = (value) => {
+    const text = value.replace(/\t/g, " ").replace(/\r?\n/g, "<br>");
+    return text.includes('"') ? `"${text.replaceAll('"', '""')}"` : text;
+  };
+  const header = ["#separator:tab", "#html:true", "#notetype column:1", "#deck column:4", "#tags column:5"];
+  const lines = rows.map(({ card, notetype, front, back, tags }) =>
+    [notetype, field(front), field(back), card.deck.replaceAll("/", "::"), tags.join(" ")].join("\t")
+  );
+  return [...header, ...lines].join("\n") + "\n";
 }
 
-function markerInsideCodeBlock(text, marker, markerIndex) {
-  let backTicksBefore = 0,
-    backTicksAfter = 0;
-  for (let i = markerIndex - 1; i >= 0; i--) {
-    if (text[i] === "`") backTicksBefore++;
-  }
-  for (let i = markerIndex + marker.length; i < text.length; i++) {
-    if (text[i] === "`") backTicksAfter++;
-  }
-  return backTicksBefore % 2 === 1 && backTicksAfter % 2 === 1;
+function formatJsonExport(rows) {
+  const cards = rows.map(({ card, notetype, front, back, tags }) => ({
+    front,
+    back,
+    deck: card.deck,
+    type: notetype === "Cloze" ? "cloze-note" : QUESTION_TYPE_LABELS[card.type],
+    ease: card.ease,
+    interval: card.interval,
+    due: card.due,
+    file: card.filePath,
+    line: card.line,
+    tags,
+  }));
+  return JSON.stringify({ exportedAt: new Date().toISOString(), count: cards.length, cards }, null, 2);
 }
 
-function isClozeLine(line, settings) {
-  if (/{{c\d*::/i.test(line)) return true;
-  if (settings.convertCurlyBracketsToClozes && /{{.*?}}/.test(line)) return true;
-  if (settings.convertHighlightsToClozes && /==.+==/.test(line)) return true;
-  if (settings.convertBoldTextToClozes && /\*\*.+\*\*/.test(line)) return true;
-  return false;
+// --- Index cache helpers ---
+// Bump when the shape of stored cards changes.
+const INDEX_CACHE_VERSION = 2;
+// Spaced-repetition settings that change how notes are parsed into cards.
+const PARSE_SETTING_KEYS = [
+  "flashcardTags",
+  "convertFoldersToDecks",
+  "singleLineCardSeparator",
+  "singleLineReversedCardSeparator",
+  "multilineCardSeparator",
+  "multilineReversedCardSeparator",
+  "multilineCardEndMarker",
+  "clozePatterns",
+  "baseEase",
+];
+
+function parseSettingsHash(settings) {
+  return hashString(JSON.stringify(PARSE_SETTING_KEYS.map((key) => settings[key])));
 }
 
-function extractSchedules(text, cardCount, baseEase) {
-  let matches = [...text.matchAll(/!([\d-]+),(\d+),(\d+)/g)];
-  if (matches.length === 0) {
-    matches = [...text.matchAll(/<!--SR:([\d-]+),(\d+),(\d+)-->/g)];
-  }
-  const schedules = [];
-  for (let i = 0; i < cardCount; i++) {
-    const match = matches[i];
-    if (match) {
-      schedules.push({
-        due: match[1],
-        interval: parseInt(match[2]),
-        ease: parseInt(match[3]),
-      });
-    } else {
-      schedules.push({ ease: baseEase });
-    }
+// Identity for explorer-owned card state that survives line shifts: the note plus a hash of the card's
+// text. parseFileCards numbers repeated cards of one note so they don't share state.
+function cardIdentity(card) {
+  if (card.identity) return card.identity;
+  const text = `${card.front}\u0000${card.back}`.replace(/\s+/g, " ").trim();
+  return `${card.filePath}#${hashString(text)}`;
+}
+
+// 32-bit FNV-1a, enough to tell settings apart.
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
   }
-  return schedules;
+  return (hash >>> 0).toString(16);
+}
+
+// The entry keeps its own copies; live cards are updated in place (e.g. after grading).
+function indexEntryFor(file, cards) {
+  return { mtime: file.stat.mtime, size: file.stat.size, cards: cards.map((card) => ({ ...card })) };
+}
+
+function isIndexEntryFresh(entry, file) {
+  return !!entry && entry.mtime === file.stat.mtime && entry.size === file.stat.size;
 }
 
 // --- Deck helpers ---
+const QUESTION_TAG_REGEX = /(^|\s)(#[^\s#!"$%&'()*+,.:;<=>?@^`{|}~\[\]\\]+)/g;
+
+// Pull flashcard tags off a question's first line: returns their deck topics, the raw tags
+// and a copy of the question with the tags stripped so they don't show on the card.
+function applyQuestionTags(question, settings) {
+  const newlineIdx = question.rawText.indexOf("\n");
+  const firstLine = newlineIdx === -1 ? question.rawText : question.rawText.slice(0, newlineIdx);
+  const rest = newlineIdx === -1 ? "" : question.rawText.slice(newlineIdx);
+  const topics = [];
+  const tags = [];
+  const stripped = firstLine.replace(QUESTION_TAG_REGEX, (full, space, tag) => {
+    const topic = topicPathFromTag(tag, settings.flashcardTags);
+    if (topic === null) return full;
+    topics.push(topic);
+    tags.push(tag);
+    return space;
+  });
+  if (tags.length === 0) return { topics, tags, question };
+  const rawText = stripped.replace(/\s{2,}/g, " ").trim() + rest;
+  return {
+    topics,
+    tags,
+    question: new ParsedQuestion(question.type, rawText, question.firstLine, question.lastLine),
+  };
+}
+
 function topicPathFromTag(tag, flashcardTags) {
   if (!tag) return null;
   const clean = tag.replace(/^#/, "");
@@ -891,10 +5508,16 @@ function topicPathFromTag(tag, flashcardTags) {
   return null;
 }
 
-// Simple glob-like matcher for ignoring files.
-function pathMatchesPattern(filePath, pattern) {
-  const regex = globToRegex(pattern);
-  return regex.test(filePath);
+// Simple glob-like matcher for ignoring files. With `matchFolders` a pattern also matches any of the
+// file's folders; the spaced-repetition ignore list is matched against the whole path only, as before.
+function pathMatchesPattern(filePath, pattern, matchFolders = false) {
+  if (!matchFolders) return globToRegex(pattern).test(filePath);
+  const regex = globToRegex(pattern.replace(/\/+$/, ""));
+  const parts = filePath.split("/");
+  for (let i = 1; i <= parts.length; i++) {
+    if (regex.test(parts.slice(0, i).join("/"))) return true;
+  }
+  return false;
 }
 
 function globToRegex(pattern) {
@@ -911,7 +5534,7 @@ function globToRegex(pattern) {
 }
 
 function escapeRegex(str) {
-  return str.replace(/[-/\\^$+?.()|[\]{}]/g, "\\$&");
+  return str.replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&");
 }
 
 function parseDueDate(due) {
@@ -926,24 +5549,105 @@ function parseDueDate(due) {
 function buildDeckTree(cards) {
   const root = new DeckNode("root", null);
   for (const card of cards) {
-    const path = card.deck && card.deck.length > 0 ? card.deck : DEFAULT_DECK_NAME;
-    const parts = path.split("/").filter((p) => p.length > 0);
-    if (parts.length === 0) parts.push(DEFAULT_DECK_NAME);
-    let node = root;
-    for (const part of parts) {
-      node = node.getOrCreateChild(part);
-    }
-    node.addCard(card);
+    root.insertCard(card);
   }
   root.sortSubdecks();
   return root;
 }
 
+function collectDeckPaths(deckNode) {
+  const paths = [];
+  for (const sub of deckNode.subdecks) {
+    paths.push(sub.path, ...collectDeckPaths(sub));
+  }
+  return paths;
+}
+
+// Cards are unique per deck, so the id alone is not enough once a note feeds several decks.
+function cardKey(card) {
+  return `${card.deck}\u0000${card.id}`;
+}
+
+function collectDeckNames(cards) {
+  return Array.from(new Set(cards.map((card) => card.deck))).sort();
+}
+
+// Card orders offered by the explorer, sr-explorer blocks and the API.
+const SORT_MODES = [
+  { value: "ease", label: "Ease" },
+  { value: "due", label: "Due date" },
+  { value: "interval-asc", label: "Interval, shortest first" },
+  { value: "interval-desc", label: "Interval, longest first" },
+  { value: "file", label: "File order" },
+  { value: "modified", label: "Recently modified" },
+  { value: "new", label: "New first" },
+  { value: "random", label: "Random" },
+];
+
+// `sort` is a mode name or { mode, secondary, reverse, seed }; reverse flips the primary key only.
+// `context.mtimeOf(path)` supplies file modification times for the "modified" mode.
+function sortCardsBy(cards, sort, context = {}) {
+  const { mode = "ease", secondary = "", reverse = false, seed = 0 } =
+    typeof sort === "string" ? { mode: sort } : sort;
+  const primary = cardComparator(mode, seed, context);
+  const then = secondary && secondary !== mode ? cardComparator(secondary, seed, context) : null;
+  const direction = reverse ? -1 : 1;
+  return cards
+    .slice()
+    .sort((a, b) => direction * primary(a, b) || (then ? then(a, b) : 0) || a.front.localeCompare(b.front));
+}
+
+function cardComparator(mode, seed, context) {
+  switch (mode) {
+    case "due":
+      return (a, b) => compareNumbers(parseDueDate(a.due), parseDueDate(b.due));
+    case "interval-asc":
+      return (a, b) => compareNumbers(a.interval ?? 0, b.interval ?? 0);
+    case "interval-desc":
+      return (a, b) => compareNumbers(b.interval ?? 0, a.interval ?? 0);
+    case "file":
+      return (a, b) =>
+        a.filePath.localeCompare(b.filePath) || a.line - b.line || a.siblingIndex - b.siblingIndex;
+    case "modified": {
+      const mtimeOf = (card) => context.mtimeOf?.(card.filePath) ?? 0;
+      return (a, b) => compareNumbers(mtimeOf(b), mtimeOf(a));
+    }
+    case "new":
+      return (a, b) => (a.due ? 1 : 0) - (b.due ? 1 : 0);
+    case "random": {
+      // Same seed, same shuffle: ranks are hashes of the seed and the card's key.
+      const ranks = new Map();
+      const rankOf = (card) => {
+        const key = cardKey(card);
+        if (!ranks.has(key)) ranks.set(key, parseInt(hashString(`${seed}:${key}`), 16));
+        return ranks.get(key);
+      };
+      return (a, b) => compareNumbers(rankOf(a), rankOf(b));
+    }
+    default:
+      return (a, b) => compareNumbers(a.ease ?? Number.MAX_SAFE_INTEGER, b.ease ?? Number.MAX_SAFE_INTEGER);
+  }
+}
+
+// Like a - b, but equal infinities compare as 0 instead of NaN.
+function compareNumbers(a, b) {
+  return a === b ? 0 : a - b;
+}
+
+function compareByEase(a, b) {
+  const easeA = a.ease ?? Number.MAX_SAFE_INTEGER;
+  const easeB = b.ease ?? Number.MAX_SAFE_INTEGER;
+  if (easeA !== easeB) return easeA - easeB;
+  return a.front.localeCompare(b.front);
+}
+
 class RenderMarkdownWrapper {
-  constructor(app, plugin, notePath) {
+  // `component` owns the rendered children; defaults to the plugin, which lives as long as the explorer.
+  constructor(app, plugin, notePath, component = plugin) {
     this.app = app;
     this.notePath = notePath;
     this.plugin = plugin;
+    this.component = component;
   }
   async renderMarkdownWrapper(markdownString, containerEl, textDirection, recursiveDepth = 0) {
     if (recursiveDepth > 4) return;
@@ -952,7 +5656,7 @@ class RenderMarkdownWrapper {
       el = containerEl.createDiv();
       el.setAttribute("dir", "rtl");
     } else el = containerEl;
-    await MarkdownRenderer.render(this.app, markdownString, el, this.notePath, this.plugin);
+    await MarkdownRenderer.render(this.app, markdownString, el, this.notePath, this.component);
     el.findAll(".internal-embed, .image-embed").forEach((embedEl) => {
       const src = embedEl.getAttribute("src");
       const link = this.parseLink(src);